@@ -0,0 +1,318 @@
+const express = require("express");
+const { safeText } = require("./helpers");
+const { bearerToken } = require("./tenants");
+const { LEAD_STATUSES } = require("./leads");
+const { EXPORT_FORMATS, writeLeads } = require("./export");
+const { WEBHOOK_EVENTS } = require("./webhooks");
+const { probeManyChat, getCachedPath } = require("./manychat");
+const { formatSlot } = require("./scheduler");
+
+function leadFilters(q) {
+  return {
+    tenant: safeText(q.tenant),
+    status: safeText(q.status),
+    sector: safeText(q.sector),
+    from: safeText(q.from),
+    to: safeText(q.to),
+  };
+}
+
+// --- Admin API (/admin/*) ---
+// ✅ handlers async: Express 4 no atrapa promesas rechazadas (el proceso se caería)
+// -> 409 si el contacto sigue en un turno (candado ocupado), 502 si falló un servicio externo (ManyChat...), 500 lo demás
+function guarded(handler) {
+  return async (req, res, next) => {
+    try {
+      return await handler(req, res, next);
+    } catch (e) {
+      console.error("[/admin] ERROR", req.method, req.path, e?.message || e);
+      // el export ya empezó a mandar el archivo: cortarlo sin mezclar un JSON de error
+      if (res.headersSent) return res.end();
+      res.removeHeader("Content-Disposition");
+      if (e?.code === "lock_timeout") return res.status(409).json({ error: "contact_busy" });
+      if (e?.isAxiosError) return res.status(502).json({ error: "upstream_error", detail: safeText(e.message) });
+      return res.status(500).json({ error: "internal_error" });
+    }
+  };
+}
+
+// GET <base>/failed y POST <base>/failed/:jobId/replay para una cola
+function mountDeadLetters(router, base, queue) {
+  router.get(`${base}/failed`, guarded(async (_req, res) => {
+    const [failed, stats] = await Promise.all([queue.listDead(), queue.stats()]);
+    return res.json({ stats, failed });
+  }));
+
+  router.post(`${base}/failed/:jobId/replay`, guarded(async (req, res) => {
+    const job = await queue.replay(req.params.jobId);
+    if (!job) return res.status(404).json({ error: "not_found" });
+    console.log("[/admin] replayed", base, job.id);
+    return res.json(job);
+  }));
+}
+
+function createAdminRouter({
+  token,
+  tenants,
+  leads,
+  usage,
+  transcripts,
+  scheduler,
+  engine,
+  webhooks,
+  webhookQueue,
+  notifyQueue,
+  manychatQueue,
+}) {
+  const router = express.Router();
+
+  // ✅ sin ADMIN_API_TOKEN la API queda cerrada (expone datos de leads)
+  router.use((req, res, next) => {
+    if (!token || bearerToken(req) !== token) {
+      console.log("[/admin] unauthorized", req.method, req.path);
+      return res.status(401).json({ error: "unauthorized" });
+    }
+    return next();
+  });
+
+  router.get("/leads", (req, res) => {
+    const q = req.query || {};
+    const limit = Math.min(Number(q.limit) || 100, 1000);
+
+    const items = leads.list(leadFilters(q)).map(({ transcript, ...lead }) => lead);
+
+    return res.json({ total: items.length, leads: items.slice(0, limit) });
+  });
+
+  // ✅ export para el equipo de ventas: ?format=csv|ndjson&from=&to=
+  router.get("/leads/export", guarded(async (req, res) => {
+    const q = req.query || {};
+    const format = safeText(q.format || "csv").toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: "invalid_format", allowed: EXPORT_FORMATS });
+    }
+
+    const items = leads.list(leadFilters(q));
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson");
+    res.setHeader("Content-Disposition", `attachment; filename="leads-${stamp}.${format}"`);
+
+    await writeLeads(res, items, format);
+    return res.end();
+  }));
+
+  router.get("/leads/:id", (req, res) => {
+    const lead = leads.get(req.params.id);
+    if (!lead) return res.status(404).json({ error: "not_found" });
+    return res.json(lead);
+  });
+
+  // conversación completa del lead (archivo, no solo los últimos mensajes de lead.transcript)
+  router.get("/leads/:id/transcript", guarded(async (req, res) => {
+    const lead = leads.get(req.params.id);
+    if (!lead) return res.status(404).json({ error: "not_found" });
+    const q = req.query || {};
+    const entries = await transcripts.read(lead.tenant, lead.contact_id, { from: safeText(q.from), to: safeText(q.to) });
+    return res.json({ tenant: lead.tenant, contact_id: lead.contact_id, lead_id: lead.id, entries: entries || [] });
+  }));
+
+  router.patch("/leads/:id", guarded(async (req, res) => {
+    const status = safeText(req.body?.status);
+    if (!LEAD_STATUSES.includes(status)) {
+      return res.status(400).json({ error: "invalid_status", allowed: LEAD_STATUSES });
+    }
+
+    const lead = await leads.setStatus(req.params.id, status);
+    if (!lead) return res.status(404).json({ error: "not_found" });
+
+    console.log("[/admin] lead status", lead.id, "->", status);
+    return res.json(lead);
+  }));
+
+  // --- Consumo y costo (lib/usage.js) ---
+  // ?tenant=&from=YYYY-MM-DD&to=YYYY-MM-DD (default: últimos 30 días)
+  router.get("/usage", guarded(async (req, res) => {
+    const q = req.query || {};
+    const tenant = tenants.get(safeText(q.tenant) || "default");
+    if (!tenant) return res.status(404).json({ error: "unknown_tenant" });
+
+    const to = safeText(q.to) || new Date().toISOString().slice(0, 10);
+    const from = safeText(q.from) || new Date(Date.parse(to) - 29 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    if ([from, to].some((d) => !/^\d{4}-\d{2}-\d{2}$/.test(d) || Number.isNaN(Date.parse(d))) || from > to) {
+      return res.status(400).json({ error: "invalid_range", detail: "from/to = YYYY-MM-DD, from <= to" });
+    }
+
+    return res.json(await usage.report(tenant, { from, to }));
+  }));
+
+  // --- Handoff: pausar / reanudar el bot por contacto (lib/handoff.js) ---
+  // contact_id va codificado en la URL; tenant por ?tenant= o body.tenant
+  function contactTenant(req, res) {
+    const tenant = tenants.get(safeText(req.body?.tenant || req.query?.tenant) || "default");
+    if (!tenant) res.status(404).json({ error: "unknown_tenant" });
+    return tenant;
+  }
+
+  router.get("/contacts/:contactId/handoff", guarded(async (req, res) => {
+    const tenant = contactTenant(req, res);
+    if (!tenant) return;
+    const handoff = await engine.getHandoff(tenant, req.params.contactId);
+    return res.json({ tenant: tenant.id, contact_id: req.params.contactId, paused: !!handoff, handoff });
+  }));
+
+  // body: { tenant?, agent?, reason?, minutes? | until? (ISO) } — sin minutes/until = hasta reanudar
+  router.post("/contacts/:contactId/pause", guarded(async (req, res) => {
+    const tenant = contactTenant(req, res);
+    if (!tenant) return;
+
+    const b = req.body || {};
+    const minutes = Number(b.minutes || 0);
+    const until = safeText(b.until);
+    if (!(minutes >= 0) || (until && !(Date.parse(until) > Date.now()))) {
+      return res.status(400).json({ error: "invalid_pause", detail: "minutes >= 0 o until = fecha ISO futura" });
+    }
+
+    const handoff = await engine.setHandoff(tenant, req.params.contactId, {
+      agent: safeText(b.agent),
+      reason: safeText(b.reason) || "manual",
+      minutes,
+      until,
+    });
+    console.log("[/admin] handoff pause", tenant.id, req.params.contactId, handoff.agent || "");
+    return res.json({ tenant: tenant.id, contact_id: req.params.contactId, paused: true, handoff });
+  }));
+
+  router.post("/contacts/:contactId/resume", guarded(async (req, res) => {
+    const tenant = contactTenant(req, res);
+    if (!tenant) return;
+    await engine.setHandoff(tenant, req.params.contactId, null);
+    console.log("[/admin] handoff resume", tenant.id, req.params.contactId);
+    return res.json({ tenant: tenant.id, contact_id: req.params.contactId, paused: false, handoff: null });
+  }));
+
+  // --- Archivo de conversaciones (lib/transcripts.js) ---
+  router.get("/transcripts", guarded(async (req, res) => {
+    const tenant = tenants.get(safeText(req.query?.tenant) || "default");
+    if (!tenant) return res.status(404).json({ error: "unknown_tenant" });
+    const items = await transcripts.list(tenant.id);
+    return res.json({ tenant: tenant.id, total: items.length, contacts: items });
+  }));
+
+  // ?tenant=&from=&to=&format=json|ndjson (contact_id va codificado en la URL)
+  router.get("/transcripts/:contactId", guarded(async (req, res) => {
+    const q = req.query || {};
+    const tenant = tenants.get(safeText(q.tenant) || "default");
+    if (!tenant) return res.status(404).json({ error: "unknown_tenant" });
+
+    const format = safeText(q.format || "json").toLowerCase();
+    if (!["json", "ndjson"].includes(format)) {
+      return res.status(400).json({ error: "invalid_format", allowed: ["json", "ndjson"] });
+    }
+
+    const contactId = req.params.contactId;
+    const entries = await transcripts.read(tenant.id, contactId, { from: safeText(q.from), to: safeText(q.to) });
+    if (!entries) return res.status(404).json({ error: "not_found" });
+
+    if (format === "ndjson") {
+      res.setHeader("Content-Type", "application/x-ndjson");
+      return res.send(entries.map((e) => `${JSON.stringify(e)}\n`).join(""));
+    }
+    return res.json({ tenant: tenant.id, contact_id: contactId, total: entries.length, entries });
+  }));
+
+  // --- Agenda de llamadas (lib/scheduler.js) ---
+  // ?tenant=&from=&to=&status=booked|cancelled -> citas (la más próxima primero) + próximos horarios libres
+  router.get("/agenda", (req, res) => {
+    const q = req.query || {};
+    const tenant = tenants.get(safeText(q.tenant) || "default");
+    if (!tenant) return res.status(404).json({ error: "unknown_tenant" });
+    if (!tenant.schedule) return res.status(400).json({ error: "schedule_not_configured" });
+
+    const items = scheduler
+      .list({ tenant: tenant.id, status: safeText(q.status), from: safeText(q.from), to: safeText(q.to) })
+      .map((b) => {
+        const { token: _token, ...data } = b;
+        return { ...data, local: formatSlot(b.start, tenant.schedule), ics: scheduler.icsUrl(b) };
+      });
+    const free = scheduler.freeSlots(tenant, { limit: 10, perDay: Infinity }).map((x) => ({ ...x, local: formatSlot(x.start, tenant.schedule) }));
+
+    return res.json({ tenant: tenant.id, timezone: tenant.schedule.timezone, total: items.length, bookings: items, free });
+  });
+
+  // libera el horario; el lead conserva la cita marcada como cancelada
+  router.post("/agenda/:id/cancel", guarded(async (req, res) => {
+    const booking = await scheduler.cancel(req.params.id);
+    if (!booking) return res.status(404).json({ error: "not_found" });
+
+    const lead = booking.lead_id ? leads.get(booking.lead_id) : null;
+    if (lead?.booking?.id === booking.id) await leads.update(lead.id, { booking: { ...lead.booking, status: "cancelled" } });
+    console.log("[/admin] booking cancelled", booking.id, booking.start);
+
+    const { token: _token, ...data } = booking;
+    return res.json(data);
+  }));
+
+  // --- Webhooks ---
+  router.get("/webhooks", guarded(async (_req, res) => {
+    const hooks = await webhooks.list();
+    // el secreto solo se devuelve al crear
+    return res.json({ webhooks: hooks.map(({ secret, ...h }) => h), events: WEBHOOK_EVENTS });
+  }));
+
+  router.post("/webhooks", guarded(async (req, res) => {
+    try {
+      const hook = await webhooks.register(req.body || {});
+      console.log("[/admin] webhook registered", hook.id, hook.url);
+      return res.status(201).json(hook);
+    } catch (e) {
+      if (e?.code !== "invalid_webhook") throw e;
+      return res.status(400).json({ error: "invalid_webhook", detail: safeText(e.message) });
+    }
+  }));
+
+  // entregas que agotaron reintentos (dead-letter)
+  mountDeadLetters(router, "/webhooks", webhookQueue);
+
+  router.delete("/webhooks/:id", guarded(async (req, res) => {
+    const removed = await webhooks.remove(req.params.id);
+    if (!removed) return res.status(404).json({ error: "not_found" });
+    return res.json({ ok: true });
+  }));
+
+  // --- Avisos al admin ---
+  mountDeadLetters(router, "/notifications", notifyQueue);
+
+  // --- ManyChat: diagnóstico de endpoints ---
+  router.get("/manychat/endpoint", guarded(async (req, res) => {
+    const tenant = tenants.get(safeText(req.query?.tenant) || "default");
+    if (!tenant) return res.status(404).json({ error: "unknown_tenant" });
+    if (!tenant.admin.manychat_api_key) return res.status(400).json({ error: "manychat_not_configured" });
+    return res.json({ tenant: tenant.id, cached: await getCachedPath(tenant.admin.manychat_api_key) });
+  }));
+
+  // envía un mensaje de prueba por cada ruta conocida y cachea la que funcione
+  // body: { tenant?, subscriber_id? (default: primer admin), text?, all?: true para probar todas }
+  router.post("/manychat/probe", guarded(async (req, res) => {
+    const b = req.body || {};
+    const tenant = tenants.get(safeText(b.tenant) || "default");
+    if (!tenant) return res.status(404).json({ error: "unknown_tenant" });
+
+    const admin = tenant.admin;
+    const subscriberId = safeText(b.subscriber_id) || safeText(admin.admin_subscriber_id).split(",")[0];
+    if (!admin.manychat_api_key || !subscriberId) {
+      return res.status(400).json({ error: "manychat_not_configured" });
+    }
+
+    const report = await probeManyChat(admin, subscriberId, { text: b.text, all: b.all === true });
+    console.log("[/admin] manychat probe", tenant.id, "->", report.cached_after || "(none)");
+    return res.json({ tenant: tenant.id, ...report });
+  }));
+
+  // write-back de custom fields/tags que agotaron reintentos
+  mountDeadLetters(router, "/manychat/sync", manychatQueue);
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
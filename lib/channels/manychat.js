@@ -0,0 +1,175 @@
+const express = require("express");
+const { safeText, tryParseJson } = require("../helpers");
+const { resolveTenant, tenantAuthorized } = require("../tenants");
+const { ERROR_REPLY } = require("../engine");
+const { t, normalizeLang } = require("../i18n");
+
+const MEDIA_URL_EXT = {
+  audio: [".ogg", ".opus", ".mp3", ".m4a", ".wav", ".webm", ".aac"],
+  image: [".jpg", ".jpeg", ".png", ".webp", ".gif"],
+  document: [".pdf"],
+};
+
+// ✅ detectar si user_text es link de un adjunto (audio, imagen, PDF) -> clase, "" si no
+function mediaKindFromUrl(t) {
+  const s = safeText(t).toLowerCase();
+  if (!s || !s.startsWith("http") || /\s/.test(s)) return "";
+  for (const [kind, exts] of Object.entries(MEDIA_URL_EXT)) {
+    if (exts.some((ext) => s.includes(ext))) return kind;
+  }
+  return "";
+}
+
+// ✅ helpers para buscar URLs dentro de objetos/string JSON
+function findFirstUrlDeep(input) {
+  const seen = new Set();
+
+  function walk(x) {
+    if (x == null) return "";
+    if (typeof x === "string") {
+      const s = x.trim();
+      const m = s.match(/https?:\/\/[^\s"']+/i);
+      return m ? m[0] : "";
+    }
+    if (typeof x !== "object") return "";
+
+    if (seen.has(x)) return "";
+    seen.add(x);
+
+    if (Array.isArray(x)) {
+      for (const item of x) {
+        const u = walk(item);
+        if (u) return u;
+      }
+      return "";
+    }
+
+    for (const k of Object.keys(x)) {
+      const u = walk(x[k]);
+      if (u) return u;
+    }
+    return "";
+  }
+
+  return walk(input);
+}
+
+function urlRef(url) {
+  return { source: "url", url: safeText(url), kind: mediaKindFromUrl(url) };
+}
+
+// ✅ adjunto (voz, imagen, PDF) en otros campos del body -> ref para lib/media.js
+function getAttachment(body) {
+  if (!body || typeof body !== "object") return null;
+
+  const direct =
+    body.voice_url ||
+    body.audio_url ||
+    body.image_url ||
+    body.photo_url ||
+    body.document_url ||
+    body.media_url ||
+    body.attachment_url ||
+    body.file_url ||
+    body.voice ||
+    body.audio ||
+    body.image ||
+    "";
+
+  if (direct) {
+    const parsed = tryParseJson(direct);
+    if (parsed) {
+      const u = findFirstUrlDeep(parsed);
+      if (u) return urlRef(u);
+    }
+    const u2 = findFirstUrlDeep(String(direct));
+    if (u2) return urlRef(u2);
+  }
+
+  const a1 = body.attachments?.[0]?.url || body.attachments?.[0]?.payload?.url;
+  if (a1) return urlRef(a1);
+
+  const a2 = body.message?.attachments?.[0]?.url || body.message?.attachments?.[0]?.payload?.url;
+  if (a2) return urlRef(a2);
+
+  // cualquier URL dentro de full_contact_data (puede ser la foto de perfil): solo vale si resulta ser audio
+  const fcd = body.full_contact_data;
+  if (fcd) {
+    const parsed = tryParseJson(fcd) || fcd;
+    const u = findFirstUrlDeep(parsed);
+    if (u) return { ...urlRef(u), kinds: ["audio"], guessed: true };
+  }
+
+  return null;
+}
+
+// --- Canal: ManyChat External Request ({ contact_id, user_text } -> { reply }) ---
+// ✅ tenant por path (/mc/:tenant/reply), body.tenant o bearer token
+function createManyChatRouter({ tenants, engine }) {
+  const router = express.Router();
+
+  async function handleReply(req, res) {
+    const started = Date.now();
+
+    try {
+      console.log("[/mc/reply] hit", new Date().toISOString());
+
+      const tenant = resolveTenant(tenants, req);
+      if (!tenant) {
+        console.log("[/mc/reply] unknown tenant");
+        return res.status(404).json({ error: "unknown_tenant" });
+      }
+
+      if (!tenantAuthorized(tenant, req)) {
+        console.log("[/mc/reply] unauthorized", tenant.id);
+        return res.status(401).json({ error: "unauthorized" });
+      }
+
+      const contactId = safeText(req.body?.contact_id);
+      // subscriber de ManyChat (si contact_id es el teléfono, ManyChat puede mandar subscriber_id aparte)
+      const subscriberId = safeText(req.body?.subscriber_id) || contactId;
+      let userText = safeText(req.body?.user_text);
+      // idioma del suscriptor si el External Request lo manda ({{language}} / locale "en_US")
+      const langHint = normalizeLang(req.body?.language || req.body?.locale);
+
+      console.log("[/mc/reply] tenant:", tenant.id, "| contact_id:", contactId || "(missing)");
+      console.log("[/mc/reply] user_text:", userText ? `"${userText}"` : "(empty)");
+
+      if (!contactId) {
+        return res.json({ reply: t(langHint || tenant.lang, "confirm") });
+      }
+
+      // adjunto: URL en user_text o en otros campos del body
+      let media = null;
+      if (mediaKindFromUrl(userText)) {
+        media = urlRef(userText);
+        userText = "";
+      } else if (!userText) {
+        media = getAttachment(req.body);
+      }
+
+      const reply = await engine.converse(tenant, {
+        channel: "manychat",
+        contactId,
+        subscriberId,
+        userText,
+        media,
+        langHint,
+      });
+
+      console.log("[/mc/reply] done in", Date.now() - started, "ms");
+      // silent: no hay que enviar nada (el mensaje se juntó con uno más nuevo, o el bot está en pausa por handoff)
+      return res.json(reply ? { reply } : { reply: "", silent: true });
+    } catch (err) {
+      console.error("[/mc/reply] ERROR:", err?.stack || err);
+      return res.json({ reply: ERROR_REPLY });
+    }
+  }
+
+  router.post("/mc/reply", handleReply);
+  router.post("/mc/:tenant/reply", handleReply);
+
+  return router;
+}
+
+module.exports = { createManyChatRouter, mediaKindFromUrl, getAttachment };
@@ -0,0 +1,83 @@
+const crypto = require("crypto");
+const express = require("express");
+const { safeText } = require("../helpers");
+const { ERROR_REPLY } = require("../engine");
+const { telegramApi, sendTelegramText, parseTelegramUpdate } = require("../telegram");
+
+function sameSecret(a, b) {
+  const x = Buffer.from(safeText(a));
+  const y = Buffer.from(safeText(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// --- Canal: Telegram Bot API (setWebhook -> /tg/webhook o /tg/:tenant/webhook) ---
+// admin.telegram_bot_token (el mismo bot puede avisar al admin) + admin.telegram_webhook_secret (obligatorio)
+function createTelegramRouter({ tenants, engine }) {
+  const router = express.Router();
+
+  async function handleUpdate(tenant, u) {
+    const admin = tenant.admin;
+
+    // botón inline: quitar el "cargando" del cliente
+    if (u.callback_id) {
+      telegramApi(admin, "answerCallbackQuery", { callback_query_id: u.callback_id }).catch(() => {});
+    }
+
+    // /start (deep link) -> saludo normal
+    const userText = /^\/start\b/.test(u.text) ? "hola" : u.text;
+
+    const media = u.media?.id ? { source: "telegram", ...u.media } : null;
+
+    console.log("[/tg/webhook] tenant:", tenant.id, "| chat:", u.chat_id, media ? `| ${media.kind || "file"}` : "");
+    telegramApi(admin, "sendChatAction", { chat_id: u.chat_id, action: "typing" }).catch(() => {});
+
+    let reply = "";
+    try {
+      reply = await engine.converse(tenant, {
+        channel: "telegram",
+        contactId: `tg:${u.chat_id}`,
+        userText,
+        media,
+        langHint: u.language_code, // idioma de la app del usuario
+      });
+    } catch (err) {
+      console.error("[/tg/webhook] ERROR:", err?.stack || err);
+      reply = ERROR_REPLY;
+    }
+
+    // "" = se juntó con un mensaje más nuevo del mismo chat (debounce) o el bot está en pausa (handoff)
+    if (reply) await sendTelegramText(admin, u.chat_id, reply);
+  }
+
+  async function handleWebhook(req, res) {
+    // ✅ canal solo con secreto: el token del bot solo (p. ej. para avisos al admin) no abre el webhook
+    const tenant = tenants.get(safeText(req.params.tenant) || "default");
+    const secret = tenant?.admin.telegram_webhook_secret;
+    if (!tenant || !tenant.admin.telegram_bot_token || !secret) return res.sendStatus(404);
+
+    // setWebhook(secret_token) -> Telegram lo manda en cada update
+    if (!sameSecret(req.headers["x-telegram-bot-api-secret-token"], secret)) {
+      console.log("[/tg/webhook] bad secret", tenant.id);
+      return res.sendStatus(401);
+    }
+
+    // Telegram reintenta si no respondemos 200: contestamos ya y respondemos por sendMessage
+    res.sendStatus(200);
+
+    const u = parseTelegramUpdate(req.body);
+    if (!u || (!u.text && !u.media)) return;
+
+    try {
+      await handleUpdate(tenant, u);
+    } catch (e) {
+      console.error("[/tg/webhook] send FAILED:", u.chat_id, e?.message || e);
+    }
+  }
+
+  router.post("/tg/webhook", handleWebhook);
+  router.post("/tg/:tenant/webhook", handleWebhook);
+
+  return router;
+}
+
+module.exports = { createTelegramRouter };
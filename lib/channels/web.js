@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+const path = require("path");
+const express = require("express");
+const { safeText, splitList } = require("../helpers");
+const { ERROR_REPLY } = require("../engine");
+
+const MAX_TEXT = 1000;
+const RATE_WINDOW_MS = 60 * 1000;
+const RATE_MAX = 20; // mensajes por minuto por IP
+
+function validSession(x) {
+  const s = safeText(x);
+  return /^[A-Za-z0-9_-]{8,64}$/.test(s) ? s : "";
+}
+
+// --- Canal: chat web (widget embebible, public/widget.js) ---
+// POST /web/:tenant/chat { session_id?, text, lang? } -> { session_id, reply }
+// admin.web_chat_origins: orígenes permitidos (CORS); vacío = chat web apagado para ese tenant
+function createWebChatRouter({ tenants, engine }) {
+  const router = express.Router();
+  const hits = new Map();
+
+  // ventana fija por IP: el endpoint es público y cada mensaje cuesta una llamada al modelo
+  function rateLimited(ip) {
+    const now = Date.now();
+    const h = hits.get(ip);
+    if (!h || now - h.start > RATE_WINDOW_MS) {
+      hits.set(ip, { start: now, n: 1 });
+      if (hits.size > 10000) hits.delete(hits.keys().next().value);
+      return false;
+    }
+    h.n += 1;
+    return h.n > RATE_MAX;
+  }
+
+  // resuelve tenant + CORS; responde el error y devuelve null si no aplica
+  function webTenant(req, res) {
+    const tenant = tenants.get(safeText(req.params.tenant) || "default");
+    const origins = tenant ? splitList(tenant.admin.web_chat_origins) : [];
+    if (!tenant || !origins.length) {
+      res.status(404).json({ error: "web_chat_disabled" });
+      return null;
+    }
+
+    const origin = safeText(req.headers.origin);
+    if (origin) {
+      if (!origins.includes("*") && !origins.includes(origin)) {
+        res.status(403).json({ error: "origin_not_allowed" });
+        return null;
+      }
+      res.set("Access-Control-Allow-Origin", origin);
+      res.set("Vary", "Origin");
+    }
+    return tenant;
+  }
+
+  router.get("/web/widget.js", (_req, res) => {
+    res.set("Cache-Control", "public, max-age=300");
+    res.sendFile(path.join(__dirname, "..", "..", "public", "widget.js"));
+  });
+
+  // preflight CORS
+  router.options(["/web/chat", "/web/:tenant/chat", "/web/history", "/web/:tenant/history"], (req, res) => {
+    if (!webTenant(req, res)) return;
+    res.set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    res.set("Access-Control-Allow-Headers", "Content-Type");
+    res.set("Access-Control-Max-Age", "600");
+    return res.sendStatus(204);
+  });
+
+  async function handleChat(req, res) {
+    const tenant = webTenant(req, res);
+    if (!tenant) return;
+
+    if (rateLimited(req.ip)) return res.status(429).json({ error: "rate_limited" });
+
+    const sessionId = validSession(req.body?.session_id) || crypto.randomUUID();
+    const text = safeText(req.body?.text).slice(0, MAX_TEXT);
+    console.log("[/web/chat] tenant:", tenant.id, "| session:", sessionId);
+
+    try {
+      const reply = await engine.converse(tenant, {
+        channel: "web",
+        contactId: `web:${sessionId}`,
+        userText: text,
+        langHint: req.body?.lang, // navigator.language del widget
+        debounce: false, // el widget ya espera cada respuesta antes de mandar el siguiente mensaje
+      });
+      return res.json({ session_id: sessionId, reply });
+    } catch (err) {
+      console.error("[/web/chat] ERROR:", err?.stack || err);
+      return res.json({ session_id: sessionId, reply: ERROR_REPLY });
+    }
+  }
+
+  // para reabrir el widget con la conversación previa
+  async function handleHistory(req, res) {
+    const tenant = webTenant(req, res);
+    if (!tenant) return;
+
+    const sessionId = validSession(req.query?.session_id);
+    if (!sessionId) return res.json({ messages: [] });
+
+    try {
+      const messages = await engine.history(tenant, `web:${sessionId}`);
+      return res.json({ session_id: sessionId, messages });
+    } catch (err) {
+      // Express 4 no atrapa promesas rechazadas: sin esto un error de Redis tumba el proceso
+      console.error("[/web/history] ERROR:", err?.stack || err);
+      return res.status(500).json({ error: "internal_error" });
+    }
+  }
+
+  router.post("/web/chat", handleChat);
+  router.post("/web/:tenant/chat", handleChat);
+  router.get("/web/history", handleHistory);
+  router.get("/web/:tenant/history", handleHistory);
+
+  return router;
+}
+
+module.exports = { createWebChatRouter };
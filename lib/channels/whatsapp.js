@@ -0,0 +1,89 @@
+const express = require("express");
+const { safeText } = require("../helpers");
+const { tenantByPhoneNumberId } = require("../tenants");
+const { ERROR_REPLY } = require("../engine");
+const { sendWhatsAppText, verifySignature, parseWebhook } = require("../whatsapp");
+
+// --- Canal: WhatsApp Cloud API (/wa/webhook) ---
+// el phone_number_id que recibió el mensaje define el tenant (admin.phone_number_id + admin.wa_token)
+function createWhatsAppRouter({ tenants, engine, redis, verifyToken, appSecret }) {
+  const router = express.Router();
+  if (!appSecret && [...tenants.values()].some((t) => t.admin.wa_token && t.admin.phone_number_id)) {
+    console.warn("[/wa/webhook] WA_APP_SECRET vacío: los mensajes entrantes se rechazan (403)");
+  }
+
+  // Meta reintenta el webhook si tardamos: no procesar 2 veces el mismo mensaje
+  const seen = new Set();
+
+  async function firstTimeSeen(messageId) {
+    if (redis) return (await redis.set(`zia:wa:seen:${messageId}`, "1", "EX", 60 * 60 * 24, "NX")) === "OK";
+    if (seen.has(messageId)) return false;
+    seen.add(messageId);
+    if (seen.size > 5000) seen.delete(seen.values().next().value);
+    return true;
+  }
+
+  // verificación del webhook (Meta App -> WhatsApp -> Configuration)
+  router.get("/wa/webhook", (req, res) => {
+    const mode = safeText(req.query["hub.mode"]);
+    const token = safeText(req.query["hub.verify_token"]);
+
+    if (mode === "subscribe" && verifyToken && token === verifyToken) {
+      console.log("[/wa/webhook] verified ✅");
+      return res.status(200).send(safeText(req.query["hub.challenge"]));
+    }
+    return res.sendStatus(403);
+  });
+
+  async function handleMessage(m) {
+    const tenant = tenantByPhoneNumberId(tenants, m.phone_number_id);
+    if (!tenant) {
+      console.log("[/wa/webhook] no tenant for phone_number_id", m.phone_number_id);
+      return;
+    }
+    if (!m.id || !(await firstTimeSeen(m.id))) return;
+
+    console.log("[/wa/webhook] tenant:", tenant.id, "| from:", m.from, "| type:", m.type);
+
+    // adjunto: media id (lib/media.js lo resuelve en Graph con el token)
+    const media = m.media?.id ? { source: "whatsapp", ...m.media } : null;
+
+    let reply = "";
+    try {
+      reply = await engine.converse(tenant, { channel: "whatsapp", contactId: m.from, userText: m.text, media });
+    } catch (err) {
+      console.error("[/wa/webhook] ERROR:", err?.stack || err);
+      reply = ERROR_REPLY;
+    }
+
+    // "" = se juntó con un mensaje más nuevo del mismo contacto (debounce) o el bot está en pausa (handoff)
+    if (reply) await sendWhatsAppText(tenant.admin, m.from, reply);
+  }
+
+  router.post("/wa/webhook", async (req, res) => {
+    // ✅ sin WA_APP_SECRET no hay cómo saber que el POST viene de Meta: se rechaza todo
+    if (!appSecret) {
+      console.log("[/wa/webhook] rejected: WA_APP_SECRET not set");
+      return res.sendStatus(403);
+    }
+    if (!verifySignature(appSecret, req.rawBody, req.headers["x-hub-signature-256"])) {
+      console.log("[/wa/webhook] bad signature");
+      return res.sendStatus(401);
+    }
+
+    // Meta espera 200 rápido; la respuesta al usuario va por /messages
+    res.sendStatus(200);
+
+    for (const m of parseWebhook(req.body)) {
+      try {
+        await handleMessage(m);
+      } catch (e) {
+        console.error("[/wa/webhook] send FAILED:", m.from, e?.message || e);
+      }
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createWhatsAppRouter };
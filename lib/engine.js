@@ -0,0 +1,912 @@
+const { safeText, contactPhone } = require("./helpers");
+const {
+  getField,
+  stateKeys,
+  inferPending,
+  isLeadComplete,
+  acceptsDirectly,
+  questionText,
+  buildSystemPrompt,
+  buildRepairSchema,
+  buildReplySchema,
+  buildSummaryPrompt,
+  buildFollowupPrompt,
+  buildFollowupSchema,
+  buildFollowupRepairSchema,
+} = require("./flows");
+const { DEFAULT_LANG, t, normalizeLang, detectLanguage, localizeFlow } = require("./i18n");
+const { extractFields, normalizeField } = require("./extract");
+const { validateSchema } = require("./schema");
+const { usageEntry, addUsage } = require("./usage");
+const { detectHandoff, activeHandoff, makeHandoff } = require("./handoff");
+const { buildKnowledgeMessage } = require("./knowledge");
+const { formatSlot } = require("./scheduler");
+
+// último recurso de los canales (sin idioma conocido); el motor responde en el idioma del contacto
+const ERROR_REPLY = t(DEFAULT_LANG, "error");
+
+// candado ocupado por otra instancia más de locks.waitMs -> el mensaje vuelve a la cola estas veces más
+const LOCK_REQUEUES = 2;
+
+function clampHistory(history, max = 10) {
+  if (!Array.isArray(history)) return [];
+  return history.slice(-max);
+}
+
+// ✅ ventana de historial: al pasar de HISTORY_MAX mensajes, los más viejos se condensan en mem.summary
+// y quedan los últimos HISTORY_KEEP (se resume cada pocos turnos, no en cada uno)
+const HISTORY_MAX = 12;
+const HISTORY_KEEP = 6;
+// si el resumen falla, la historia crece hasta aquí (se reintenta el turno siguiente) y luego se recorta
+const HISTORY_HARD_MAX = 24;
+// horarios libres que ve el modelo en la fase 2 (los primeros son los que se ofrecieron al cerrar)
+const AGENDA_SLOTS = 8;
+
+function isAck(text) {
+  const t = safeText(text).toLowerCase();
+  return [
+    "ok", "okay", "gracias", "hola", "mañana", "perfecto", "listo", "👍",
+    "thanks", "thank you", "hi", "hello", "perfect", "great",
+    "obrigado", "obrigada", "valeu", "oi", "olá", "perfeito", "beleza",
+  ].includes(t);
+}
+
+// ✅ parser robusto para JSON del modelo
+function extractFirstJsonObject(raw) {
+  const s = safeText(raw);
+  if (!s) return "";
+  const noFences = s.replace(/```json|```/gi, "").trim();
+  const first = noFences.indexOf("{");
+  const last = noFences.lastIndexOf("}");
+  if (first === -1 || last === -1 || last <= first) return "";
+  return noFences.slice(first, last + 1);
+}
+
+function safeParseModelJson(raw) {
+  const s = safeText(raw);
+  if (!s) return null;
+
+  try {
+    return JSON.parse(s);
+  } catch {}
+
+  const candidate = extractFirstJsonObject(s);
+  if (candidate) {
+    try {
+      return JSON.parse(candidate);
+    } catch {}
+  }
+
+  return null;
+}
+
+// respuesta cuando un adjunto no se pudo leer
+function mediaReply(code, kind, lang) {
+  if (code === "too_large") return t(lang, kind === "audio" ? "audio_too_large" : "file_too_large");
+  if (code === "unsupported_type") return t(lang, "unsupported");
+  return t(lang, kind === "audio" ? "audio_failed" : "file_failed");
+}
+
+// ✅ turno sin modelo: la respuesta es la siguiente pregunta del flujo (o el cierre exacto)
+// null = hace falta el modelo (cierre con [campos] a completar, o sin traducción al idioma del contacto)
+function ruleTurn(flow, lflow, lang, mem) {
+  const tr = lflow === flow ? null : flow.i18n?.[lang] || {};
+  const state = Object.fromEntries(stateKeys(flow).map((k) => [k, mem[k]]));
+
+  const next = getField(lflow, inferPending(flow, mem));
+  if (next) {
+    if (tr && !tr.fields?.[next.key]?.question) return null;
+    return { reply: `${t(lang, "got_it")} ${questionText(next, lang)}`, state };
+  }
+
+  if (!flow.closing.exact || (tr && !tr.closing?.message)) return null;
+  return {
+    reply: lflow.closing.message,
+    state: { ...state, ...(flow.closing.set || {}), cerrado: true, cierre_enviado: true },
+  };
+}
+
+// "fuentes" del modelo: solo etiquetas de fragmentos que se le dieron en este turno (K1..Kn)
+function checkSources(parsed, snippets, errors) {
+  const cited = Array.isArray(parsed?.fuentes) ? parsed.fuentes.map(safeText).filter(Boolean) : [];
+  const known = snippets.map((_, i) => `K${i + 1}`);
+  const unknown = cited.filter((c) => !known.includes(c));
+  if (unknown.length) {
+    errors.push(`fuentes: ${unknown.join(", ")} no existe(n); usa solo ${known.join(", ") || "[] (no hay fragmentos)"}`);
+  }
+  return cited.filter((c) => known.includes(c)).map((c) => snippets[Number(c.slice(1)) - 1].id);
+}
+
+// ✅ revisar la salida del modelo antes de tocar la memoria: esquema, normalizadores por campo y
+// cierre solo si el servidor confirma que están todos los campos (closing.set lo pone el servidor)
+// -> { reply, state: solo valores válidos, sources: ids de fragmentos citados, errors, closingRejected }
+function checkTurn(flow, mem, parsed, snippets = []) {
+  const errors = validateSchema(buildReplySchema(flow), parsed);
+  const sources = checkSources(parsed, snippets, errors);
+  const newState = parsed?.state && typeof parsed.state === "object" ? parsed.state : {};
+  const state = {};
+
+  for (const f of flow.fields) {
+    const raw = safeText(newState[f.key]);
+    if (!raw || raw === mem[f.key]) continue;
+    const out = normalizeField(f, raw);
+    if (out.error) errors.push(`state.${f.key}: ${out.error}`);
+    else state[f.key] = out.value;
+  }
+
+  let closingRejected = false;
+  if ((newState.cerrado === true || newState.cierre_enviado === true) && !mem.cierre_enviado) {
+    const missing = flow.fields.filter((f) => !state[f.key] && !mem[f.key]).map((f) => f.key);
+    if (missing.length) {
+      closingRejected = true;
+      errors.push(`state.cierre_enviado: no se puede cerrar, faltan ${missing.join(", ")}`);
+    } else {
+      Object.assign(state, flow.closing.set || {}, { cerrado: true, cierre_enviado: true });
+    }
+  }
+
+  return { reply: typeof parsed?.reply === "string" ? safeText(parsed.reply) : "", state, sources, errors, closingRejected };
+}
+
+// ✅ fase 2 (después del cierre): correcciones normalizadas como en checkTurn + llamada pedida
+// slots = horarios libres que vio el modelo ([{ id: "S1", start, end, label }]); "cita" solo puede ser uno de esos
+// -> { reply, state: solo campos que cambian, call, slot, sources, errors }
+function checkFollowup(flow, mem, parsed, snippets = [], slots = []) {
+  const errors = validateSchema(buildFollowupSchema(flow), parsed);
+  const sources = checkSources(parsed, snippets, errors);
+  const updates = parsed?.updates && typeof parsed.updates === "object" ? parsed.updates : {};
+  const state = {};
+
+  for (const f of flow.fields) {
+    const raw = safeText(updates[f.key]);
+    if (!raw || raw === mem[f.key]) continue;
+    const out = normalizeField(f, raw);
+    if (out.error) errors.push(`updates.${f.key}: ${out.error}`);
+    else if (out.value !== mem[f.key]) state[f.key] = out.value;
+  }
+
+  const call = flow.after.call ? safeText(parsed?.llamada).slice(0, 200) : "";
+
+  const cita = safeText(parsed?.cita);
+  const slot = cita ? slots.find((x) => x.id === cita) || null : null;
+  if (cita && !slot) {
+    errors.push(`cita: ${cita} no existe; usa ${slots.map((x) => x.id).join(", ") || '"" (no hay horarios libres)'}`);
+  }
+
+  return { reply: typeof parsed?.reply === "string" ? safeText(parsed.reply) : "", state, call, slot, sources, errors };
+}
+
+function buildLeadSummary(flow, { contactId, channel, ...values }, title = flow.summary_title || "🆕 Nuevo lead (Zia Bot)") {
+  const waDigits = contactPhone(contactId, channel);
+  const waLink = waDigits ? `https://wa.me/${waDigits}` : "";
+
+  return (
+    `${title}\n` +
+    flow.fields.map((f) => `${f.summary || f.key}: ${safeText(values[f.key]) || "-"}\n`).join("") +
+    (waDigits || !contactId ? `👤 WhatsApp: ${waDigits || "-"}\n` : `👤 Contacto: ${safeText(contactId)}\n`) +
+    (waLink ? `🔗 ${waLink}\n` : "") +
+    `🕒 ${new Date().toLocaleString()}`
+  );
+}
+
+const UPDATE_TITLE = "✏️ Lead actualizado (Zia Bot)";
+
+const HANDOFF_TITLES = {
+  human_request: "🙋 Quiere hablar con una persona (Zia Bot)",
+  frustration: "😤 Contacto frustrado con el bot (Zia Bot)",
+};
+
+// "texto:\n• martes, 21 oct, 10:00\n• ..." con los horarios en la zona del tenant
+function slotsText(tenant, lang, slots, key) {
+  return `${t(lang, key)}\n${slots.map((x) => `• ${formatSlot(x.start, tenant.schedule, lang)}`).join("\n")}`;
+}
+
+// respuesta mientras atiende una persona ("" = no responder)
+function pausedReply(tenant, lang) {
+  return tenant.handoff.reply == null ? t(lang, "paused") : tenant.handoff.reply;
+}
+
+// --- Motor de conversación (independiente del canal) ---
+// Los adaptadores (ManyChat, WhatsApp Cloud, Telegram, web) traducen su payload a
+// converse(tenant, { channel, contactId, userText, media, langHint, debounce? }) y entregan el texto devuelto.
+//   langHint: idioma que reporta el canal (ej. language_code de Telegram), solo si aún no se detectó
+//   memory: { load(tenant, contactId, flow), save(tenant, contactId, mem) }
+//   readMedia(tenant, media, { flow, caption, lang }) -> { kind, text, lang?, usage? }; lanza errores de lib/media.js (code: too_large...)
+//   usage: lib/usage.js (consumo por turno -> mem.usage, lead y agregado diario)
+//   transcripts: lib/transcripts.js (archivo completo de la conversación, más allá de mem.history)
+//   locks: lib/locks.js (un turno a la vez por contacto)
+//   knowledge: lib/knowledge.js (fragmentos de la base de conocimiento para responder dudas)
+//   scheduler: lib/scheduler.js (agenda local de llamadas; solo con tenant.schedule)
+//   debounceMs: > 0 junta los mensajes que llegan seguidos (ráfagas, audio + texto) en un solo turno
+//   emitEvent, syncToManyChat, notifyAdmins: efectos tras cada turno (no deben lanzar)
+function createEngine({
+  flows,
+  llm,
+  memory,
+  readMedia,
+  leads,
+  usage,
+  transcripts,
+  locks,
+  knowledge,
+  scheduler,
+  debounceMs = 0,
+  emitEvent,
+  syncToManyChat,
+  notifyAdmins,
+}) {
+  // ráfagas abiertas: "<tenant>:<contacto>" -> { inputs, first, timer, resolve }
+  const bursts = new Map();
+  // turnos por contacto en este proceso: uno corriendo y a lo más uno esperando
+  // "<tenant>:<contacto>" -> { tail: promesa del último turno, next: { inputs, resolve } | null, turns }
+  const lanes = new Map();
+
+  // devuelve el texto a responder ("" = el mensaje se juntó con otro más nuevo, que lleva la respuesta)
+  // media = ref de lib/media.js si llegó un adjunto
+  function converse(tenant, input) {
+    if (!debounceMs || !input.contactId || input.debounce === false) return schedule(tenant, [input]);
+
+    const key = `${tenant.id}:${input.contactId}`;
+    let burst = bursts.get(key);
+    if (burst) {
+      // el mensaje anterior ya no espera respuesta propia
+      clearTimeout(burst.timer);
+      burst.resolve("");
+    } else {
+      burst = { inputs: [], first: Date.now() };
+      bursts.set(key, burst);
+    }
+    burst.inputs.push(input);
+
+    return new Promise((resolve) => {
+      burst.resolve = resolve;
+      // silencio de debounceMs (máx. 3x desde el primer mensaje, para no esperar para siempre)
+      const wait = Math.max(0, Math.min(debounceMs, burst.first + 3 * debounceMs - Date.now()));
+      burst.timer = setTimeout(() => {
+        bursts.delete(key);
+        schedule(tenant, burst.inputs, { merge: true }).then(resolve);
+      }, wait);
+    });
+  }
+
+  // ✅ turnos del contacto en orden; con debounce (merge) lo que llega mientras corre uno se junta
+  // en UN turno que espera detrás. Sin debounce cada mensaje tiene su turno y su respuesta (web, ManyChat)
+  function schedule(tenant, inputs, { merge = false } = {}) {
+    if (!inputs[0].contactId) return runBurst(tenant, inputs);
+
+    const key = `${tenant.id}:${inputs[0].contactId}`;
+    let lane = lanes.get(key);
+    if (!lane) {
+      lane = { tail: Promise.resolve(), next: null, turns: 0 };
+      lanes.set(key, lane);
+    }
+
+    if (merge && lane.next?.merge) {
+      // el mensaje anterior ya no espera respuesta propia: la lleva el turno juntado
+      lane.next.resolve("");
+      lane.next.inputs.push(...inputs);
+      return new Promise((resolve) => (lane.next.resolve = resolve));
+    }
+
+    const next = { inputs: [...inputs], merge, resolve: null };
+    const reply = new Promise((resolve) => (next.resolve = resolve));
+    lane.next = next;
+    lane.turns += 1;
+    lane.tail = lane.tail.then(async () => {
+      if (lane.next === next) lane.next = null; // desde aquí, los mensajes nuevos forman el turno siguiente
+      next.resolve(await runBurst(tenant, next.inputs));
+      lane.turns -= 1;
+      if (!lane.turns) lanes.delete(key);
+    });
+    return reply;
+  }
+
+  // mensajes seguidos -> turnos (1 adjunto por turno; el texto va con el primero) -> última respuesta
+  async function runBurst(tenant, inputs) {
+    const turns = [];
+    for (const input of inputs) {
+      const cur = turns[turns.length - 1];
+      if (!cur || (input.media && cur.media)) turns.push({ ...input, userText: safeText(input.userText) });
+      else {
+        cur.userText = [cur.userText, safeText(input.userText)].filter(Boolean).join("\n");
+        cur.media = cur.media || input.media;
+        cur.langHint = cur.langHint || input.langHint;
+      }
+    }
+    if (inputs.length > 1) console.log("[converse] merged", inputs.length, "messages into", turns.length, "turn(s)");
+
+    let reply = "";
+    for (const input of turns) reply = await converseOne(tenant, input);
+    return reply;
+  }
+
+  // los errores se responden en el idioma del contacto (ctx.lang se va afinando durante el turno)
+  // ctx.log: lo que turn() deja para el archivo de la conversación (mensaje final, vía, cambios de estado)
+  async function converseOne(tenant, input) {
+    const ctx = {
+      lang: tenant.lang || normalizeLang(flows.get(tenant.flow).lang) || DEFAULT_LANG,
+      spent: [],
+      lead: false,
+      started: Date.now(),
+      log: { via: "fallback", state: {} },
+    };
+    let reply = "";
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          reply = await locks.withLock(tenant, input.contactId, () => turn(tenant, input, ctx));
+          return reply;
+        } catch (err) {
+          // otra instancia sigue con un turno largo de este contacto: volver a esperar en vez de perder el mensaje
+          if (err?.code !== "lock_timeout" || attempt >= LOCK_REQUEUES) throw err;
+          console.log("[converse] lock busy, requeued:", input.contactId, attempt + 1);
+        }
+      }
+    } catch (err) {
+      console.error("[converse] ERROR:", err?.stack || err);
+      reply = t(ctx.lang, "error");
+      return reply;
+    } finally {
+      // el consumo cuenta aunque el turno haya terminado en error
+      await usage
+        .record(tenant, usage.price(ctx.spent), { lead: ctx.lead })
+        .catch((e) => console.error("[usage] record FAILED:", e?.message || e));
+      await archive(tenant, input, ctx, reply);
+    }
+  }
+
+  // ✅ 2 líneas por turno en el archivo (nunca rompe la respuesta)
+  async function archive(tenant, { channel = "manychat", contactId, userText, media }, ctx, reply) {
+    const call = [...ctx.spent].reverse().find((e) => e.kind !== "transcription" && e.kind !== "vision");
+    const user = ctx.log.user || { text: safeText(userText), source: media?.kind || (media ? "file" : "text") };
+    const entries = [
+      {
+        ts: new Date(ctx.started).toISOString(),
+        role: "user",
+        ...user,
+        ...(media ? { media_url: safeText(media.url), media_id: safeText(media.id) } : {}),
+        channel,
+      },
+      {
+        ts: new Date().toISOString(),
+        role: "assistant",
+        text: reply,
+        via: ctx.log.via,
+        model: call?.model || "",
+        provider: call?.provider || "",
+        latency_ms: Date.now() - ctx.started,
+        state: ctx.log.state,
+        ...(ctx.log.sources ? { sources: ctx.log.sources } : {}),
+      },
+    ];
+    try {
+      await transcripts.append(tenant.id, safeText(contactId), entries);
+    } catch (e) {
+      console.error("[transcripts] append FAILED:", e?.message || e);
+    }
+  }
+
+  async function turn(tenant, { channel = "manychat", contactId, subscriberId = "", userText: text, media = null, langHint = "" }, ctx) {
+    let userText = safeText(text);
+    const flow = flows.get(tenant.flow);
+
+    // 1) cargar memoria (antes del adjunto: el idioma guardado guía la transcripción)
+    const mem = await memory.load(tenant, contactId, flow);
+
+    // idioma: el que se detecta en este mensaje > el guardado > la pista del canal > el del tenant/flujo
+    const detected = detectLanguage(userText);
+    if (detected) mem.lang = detected;
+    else if (!mem.lang) mem.lang = normalizeLang(langHint);
+    if (mem.lang) ctx.lang = mem.lang;
+
+    // ✅ handoff: atiende una persona -> el bot no responde ni procesa adjuntos; vencido -> vuelve solo
+    if (mem.handoff) {
+      if (activeHandoff(mem)) {
+        ctx.log.via = "handoff";
+        return pausedReply(tenant, ctx.lang);
+      }
+      console.log("[converse] handoff expired:", contactId);
+      mem.handoff = null;
+      // guardar ya: los returns tempranos (adjunto fallido, vacío, "ok") no guardan y el evento se repetiría
+      await memory.save(tenant, contactId, mem);
+      emitEvent("conversation.resumed", tenant, { contact_id: contactId, channel, by: "expired" });
+    }
+
+    // ✅ adjuntos: nota de voz -> transcripción; imagen/PDF -> descripción + datos (media = ref de lib/media.js)
+    if (media) {
+      console.log("[converse] media:", media.source, media.kind || "", media.url || media.id || "");
+      let read = null;
+      let mediaCode = "";
+      try {
+        // sin idioma guardado no se fuerza: el transcriptor lo detecta
+        read = await readMedia(tenant, media, { flow, caption: userText, lang: mem.lang });
+        if (read?.usage) ctx.spent.push(read.usage);
+      } catch (e) {
+        mediaCode = e?.code || "error";
+        console.error("[converse] media FAILED:", mediaCode, e?.message || e);
+        if (e?.kind) media.kind = e.kind;
+      }
+
+      if (read?.text) {
+        // el contenido se suma al texto (caption de la imagen, o lo que escribió junto al audio)
+        userText = [userText, read.text].filter(Boolean).join("\n");
+        ctx.log.user = { text: userText, source: read.kind };
+        console.log("[converse] media ->", `"${userText}"`);
+
+        // la descripción de imagen/PDF va en español: solo el audio dice el idioma del contacto
+        const heard = read.kind === "audio" ? normalizeLang(read.lang) || detectLanguage(read.text) : "";
+        if (heard) ctx.lang = mem.lang = heard;
+      } else if (mediaCode === "unsupported_type" && media.guessed) {
+        // URL adivinada que no era media (ej. foto de perfil): como si no hubiera adjunto
+      } else {
+        return mediaReply(mediaCode, media.kind, ctx.lang);
+      }
+    }
+
+    if (!userText) return t(ctx.lang, "blank");
+
+    const lang = ctx.lang;
+    const lflow = localizeFlow(flow, lang);
+
+    mem.pending = inferPending(flow, mem);
+    const before = Object.fromEntries(stateKeys(flow).map((k) => [k, mem[k]]));
+
+    const isNewConversation = !mem.started_at;
+    if (isNewConversation) mem.started_at = new Date().toISOString();
+    const wasClosed = !!mem.cierre_enviado;
+
+    // Si ya cerró y el usuario escribe ack -> respuesta corta
+    if (mem.cierre_enviado && isAck(userText)) {
+      return lflow.ack_reply || t(lang, "ack");
+    }
+
+    // ✅ fase 2: después del cierre el flujo puede seguir (dudas, correcciones, llamada) con su propio prompt
+    const followup = wasClosed && !!flow.after;
+
+    // ✅ aceptar la respuesta tal cual si el paso pendiente tiene validadores (ej. nombres raros en "redes")
+    const asked = mem.pending;
+    const pendingField = getField(flow, asked);
+    const direct = !!pendingField && !mem[pendingField.key] && acceptsDirectly(pendingField, userText);
+    if (direct) mem[pendingField.key] = userText;
+
+    // ✅ extractor determinista (lib/extract.js): números, sectores, objetivos por sinónimos
+    // solo se guarda si responde el paso pendiente sin palabras de más ("tengo 2 sucursales", "hola, quiero
+    // info" no); cualquier otro mensaje lo interpreta el modelo
+    const extracted = extractFields(flow, mem, userText);
+    const answered = asked in extracted.values && !extracted.leftover.length;
+    if (answered) Object.assign(mem, extracted.values);
+    mem.pending = inferPending(flow, mem);
+
+    // respuesta clara al paso pendiente (sin preguntas ni texto de más) -> no hace falta el modelo
+    // (el primer turno siempre va al modelo: saluda y presenta)
+    // (sin idioma conocido tampoco: el modelo responde en el idioma del usuario, las reglas no)
+    const clear =
+      !!mem.lang &&
+      !!mem.history?.length &&
+      !userText.includes("?") &&
+      (direct ? userText.split(/\s+/).length <= 5 : answered);
+
+    // ✅ pide una persona o se frustra -> pausa el bot y avisa al equipo (lo ya extraído se guarda igual)
+    // si el texto responde el paso pendiente ("que atienda a cada persona que escribe") no es un pedido
+    const handoffReason = tenant.handoff.auto && !(asked in extracted.values) ? detectHandoff(userText) : "";
+
+    const ruled = clear && !handoffReason && !followup ? ruleTurn(flow, lflow, lang, mem) : null;
+    if (ruled) console.log("[converse] rules:", JSON.stringify({ ...extracted.values, ...(direct ? { [asked]: userText } : {}) }));
+
+    let result = ruled && { ...ruled, errors: [] };
+    if (ruled) ctx.log.via = "rules";
+    if (handoffReason) {
+      console.log("[converse] handoff:", handoffReason, contactId);
+      mem.handoff = makeHandoff({ by: "auto", reason: handoffReason, minutes: tenant.handoff.pause_minutes });
+      result = { reply: t(lang, "handoff"), state: {}, errors: [] };
+      ctx.log.via = "handoff";
+    }
+    // ✅ base de conocimiento: fragmentos relacionados con el mensaje (solo si va al modelo)
+    const snippets = result ? [] : knowledge.search(tenant, userText);
+    if (snippets.length) console.log("[converse] knowledge:", snippets.map((s) => `${s.id}(${s.score})`).join(", "));
+
+    if (!result && followup) {
+      const agenda = agendaFor(tenant, flow, mem, lang);
+      result = await followupTurn(tenant, { flow, lflow, lang, mem, userText, snippets, agenda, spent: ctx.spent });
+      if (!result) return t(lang, "signal_lost");
+      ctx.log.via = "model";
+    }
+    if (!result) {
+      const first = await askModel(tenant, { flow, lflow, lang, mem, userText, snippets, spent: ctx.spent });
+      if (!first) return t(lang, "signal_lost");
+      ctx.log.via = "model";
+      result = checkTurn(flow, mem, first.parsed, snippets);
+
+      // ✅ salida inválida (esquema, valores, cierre sin todos los datos) -> 1 reintento diciéndole qué corregir
+      if (result.errors.length) {
+        console.error("[converse] invalid model reply:", result.errors.join(" | "));
+        const correction = { raw: first.raw, errors: result.errors };
+        const second = await askModel(tenant, { flow, lflow, lang, mem, userText, snippets, correction, spent: ctx.spent });
+        if (second) result = checkTurn(flow, mem, second.parsed, snippets);
+        if (result.errors.length) console.error("[converse] still invalid, keeping valid fields:", result.errors.join(" | "));
+      }
+
+      // sin respuesta usable o con un cierre rechazado: seguir con la pregunta pendiente
+      if (!result.reply || result.closingRejected) {
+        const next = getField(lflow, inferPending(flow, { ...mem, ...result.state }));
+        result.reply = next ? questionText(next, lang) : "";
+      }
+    }
+
+    let reply = result.reply || t(lang, "repeat");
+    const newState = result.state;
+    if (result.sources?.length) ctx.log.sources = result.sources;
+
+    // el modelo contesta en el idioma del usuario: su respuesta (más larga) fija el idioma si aún no se sabía
+    if (!mem.lang) mem.lang = detectLanguage(reply);
+
+    // 4) actualizar memoria (estado ya validado; el cierre no se deshace)
+    for (const k of stateKeys(flow)) {
+      mem[k] = safeText(newState[k]) || mem[k];
+    }
+
+    if (newState.cierre_enviado) {
+      mem.cerrado = true;
+      mem.cierre_enviado = true;
+    }
+
+    // ✅ recién calificado + agenda -> ofrecer 2-3 horarios libres para la llamada (los elige en la fase 2)
+    if (!wasClosed && mem.cierre_enviado && flow.after?.call && tenant.schedule) {
+      const offer = scheduler.freeSlots(tenant);
+      if (offer.length) reply = `${reply}\n\n${slotsText(tenant, lang, offer, "slots_offer")}`;
+    }
+
+    // fase 2: llamada pedida (día/hora como lo dijo el usuario)
+    const newCall = !!result.call && result.call !== mem.call?.requested;
+    if (newCall) mem.call = { requested: result.call, at: new Date().toISOString() };
+
+    // fase 2: horario elegido -> reserva (+ enlace .ics); si se ocupó entretanto, se ofrecen otros
+    // el mismo horario que ya tiene = nada que reservar (no es "ocupado": lo ocupa él)
+    let newBooking = false;
+    let replaced = null; // cita anterior: se cancela recién con la memoria guardada
+    if (result.slot && result.slot.start === mem.booking?.start) {
+      if (mem.booking.ics) reply = `${reply}\n${t(lang, "booked")} ${mem.booking.ics}`;
+    } else if (result.slot) {
+      const booking = await scheduler.book(tenant, { start: result.slot.start, contactId, channel, leadId: mem.lead_id, lang });
+      if (booking) {
+        replaced = mem.booking; // cambio de horario
+        mem.booking = { id: booking.id, start: booking.start, end: booking.end, status: booking.status, ics: scheduler.icsUrl(booking) };
+        newBooking = true;
+        console.log("[converse] booked:", booking.start, contactId);
+        if (mem.booking.ics) reply = `${reply}\n${t(lang, "booked")} ${mem.booking.ics}`;
+      } else {
+        const offer = scheduler.freeSlots(tenant);
+        reply = offer.length ? slotsText(tenant, lang, offer, "slot_taken") : t(lang, "repeat");
+      }
+    }
+
+    mem.pending = inferPending(flow, mem);
+
+    // 5) historial (+ resumen de lo que sale de la ventana)
+    mem.history = [...(mem.history || []), { role: "user", content: userText }, { role: "assistant", content: reply }];
+    if (mem.history.length > HISTORY_MAX) await condense(tenant, flow, mem, ctx.spent);
+
+    // consumo acumulado de la conversación (tokens, minutos de audio, USD estimados)
+    mem.usage = addUsage(mem.usage, usage.price(ctx.spent));
+
+    try {
+      await memory.save(tenant, contactId, mem);
+    } catch (e) {
+      // ✅ sin memoria guardada la reserva quedaría huérfana (el contacto no la ve y el horario queda tomado)
+      if (newBooking) await scheduler.cancel(mem.booking.id).catch((err) => console.error("[converse] booking rollback FAILED:", err?.message || err));
+      throw e;
+    }
+    if (replaced) {
+      // la nueva ya quedó guardada: si falla, la anterior sigue tomada pero el turno no se pierde
+      await scheduler.cancel(replaced.id).catch((e) => console.error("[converse] old booking cancel FAILED:", replaced.id, e?.message || e));
+    }
+
+    const stateFields = Object.fromEntries(stateKeys(flow).map((k) => [k, mem[k]]));
+    for (const [k, v] of Object.entries(stateFields)) {
+      if (safeText(before[k]) !== safeText(v)) ctx.log.state[k] = [before[k] ?? "", v ?? ""];
+    }
+
+    if (isNewConversation) {
+      emitEvent("conversation.started", tenant, { contact_id: contactId, channel, flow: flow.id, lang, started_at: mem.started_at });
+    }
+    if (!wasClosed && mem.cierre_enviado) {
+      emitEvent("conversation.closed", tenant, { contact_id: contactId, channel, flow: flow.id, fields: stateFields });
+    }
+
+    if (handoffReason) {
+      emitEvent("conversation.handoff", tenant, { contact_id: contactId, channel, flow: flow.id, handoff: mem.handoff, message: userText });
+      const summary = `${buildLeadSummary(flow, { contactId, channel, ...mem }, HANDOFF_TITLES[handoffReason])}\n💬 “${userText}”`;
+      const waDigits = contactPhone(contactId, channel);
+      await notifyAdmins(tenant, {
+        contactId,
+        lead: null,
+        vars: {
+          ...stateFields,
+          summary,
+          title: HANDOFF_TITLES[handoffReason],
+          whatsapp: waDigits || contactId,
+          wa_link: waDigits ? `https://wa.me/${waDigits}` : "",
+          channel,
+          lang,
+          reason: handoffReason,
+          tenant: tenant.id,
+        },
+      });
+    }
+
+    // ✅ fase 2: datos corregidos, llamada pedida o agendada -> registro del lead + aviso al equipo
+    const changes = Object.keys(ctx.log.state).filter((k) => getField(flow, k));
+    if (followup && mem.lead_id && (changes.length || newCall || newBooking)) {
+      await leads.update(mem.lead_id, {
+        fields: stateFields,
+        ...(mem.call ? { call: mem.call } : {}),
+        ...(mem.booking ? { booking: mem.booking } : {}),
+      });
+      emitEvent("lead.updated", tenant, {
+        lead_id: mem.lead_id,
+        contact_id: contactId,
+        changes: ctx.log.state,
+        call: mem.call || null,
+        booking: mem.booking || null,
+      });
+
+      const when = newBooking ? `${formatSlot(mem.booking.start, tenant.schedule)} (${tenant.schedule.timezone})` : "";
+      const lines = [
+        ...changes.map((k) => `🔁 ${getField(flow, k).summary || k}: ${ctx.log.state[k][0] || "-"} → ${ctx.log.state[k][1]}`),
+        ...(newCall ? [`📞 Llamada: ${mem.call.requested}`] : []),
+        ...(newBooking ? [`📅 Llamada agendada: ${when}`] : []),
+      ];
+      const summary = `${buildLeadSummary(flow, { contactId, channel, ...mem }, UPDATE_TITLE)}\n${lines.join("\n")}`;
+      const waDigits = contactPhone(contactId, channel);
+      await notifyAdmins(tenant, {
+        contactId,
+        lead: null,
+        vars: {
+          ...stateFields,
+          summary,
+          title: UPDATE_TITLE,
+          whatsapp: waDigits || contactId,
+          wa_link: waDigits ? `https://wa.me/${waDigits}` : "",
+          channel,
+          lang,
+          lead_id: mem.lead_id,
+          call: mem.call?.requested || "",
+          booking: when,
+          tenant: tenant.id,
+        },
+      });
+    }
+
+    // ✅ NUEVO: cuando el lead está completo y ya cerró -> avisar a tu WhatsApp (1 vez)
+    const leadComplete = isLeadComplete(flow, mem);
+
+    // campos nuevos/cambiados -> ManyChat; tags solo la vez que se califica
+    await syncToManyChat(tenant, subscriberId, before, stateFields, { qualified: leadComplete && !mem.lead_id });
+
+    // admin_notified lo marca el worker cuando un canal confirma; lead_id evita duplicar
+    if (leadComplete && !mem.lead_id && !mem.admin_notified) {
+      // ✅ registro durable del lead (la memoria Redis expira a los 7 días)
+      const lead = await leads.create({
+        tenant: tenant.id,
+        flow: flow.id,
+        channel,
+        contactId,
+        fields: stateFields,
+        transcript: mem.history,
+        summary: mem.summary,
+        usage: mem.usage,
+      });
+      mem.lead_id = lead.id;
+      ctx.lead = true;
+      await memory.save(tenant, contactId, mem);
+
+      const summary = buildLeadSummary(flow, { contactId, channel, ...mem });
+
+      const { transcript, ...leadData } = lead;
+      emitEvent("lead.qualified", tenant, { lead: leadData, summary });
+
+      const waDigits = contactPhone(contactId, channel);
+      const vars = {
+        ...stateFields,
+        summary,
+        title: flow.summary_title || "🆕 Nuevo lead (Zia Bot)",
+        whatsapp: waDigits || contactId,
+        wa_link: waDigits ? `https://wa.me/${waDigits}` : "",
+        channel,
+        lang,
+        lead_id: lead.id,
+        tenant: tenant.id,
+      };
+
+      // 🔥 NO bloqueamos la respuesta al usuario: va a la cola durable
+      await notifyAdmins(tenant, { contactId, lead, vars });
+    }
+
+    return reply;
+  }
+
+  // modelo -> { parsed, raw } | null si ni la reparación devolvió JSON
+  // correction = { raw, errors }: la salida anterior y lo que hay que corregir (checkTurn)
+  // spent: cada llamada deja su consumo (lib/usage.js)
+  // after = fase 2 (prompt y esquema de reparación de flow.after); snippets = fragmentos de lib/knowledge.js
+  // agenda = horarios libres de la fase 2 (agendaFor)
+  async function askModel(tenant, { flow, lflow, lang, mem, userText, snippets = [], agenda = null, correction = null, spent, after = false }) {
+    // 2) armar mensajes
+    const sys = after ? buildFollowupPrompt(lflow, { lang, agenda }) : buildSystemPrompt(lflow, { lang });
+
+    const stateSnapshot = {
+      ...Object.fromEntries(stateKeys(flow).map((k) => [k, mem[k]])),
+      cerrado: !!mem.cerrado,
+      cierre_enviado: !!mem.cierre_enviado,
+      pending: mem.pending,
+    };
+
+    const messages = [
+      { role: "system", content: sys },
+      { role: "system", content: `ESTADO ACTUAL: ${JSON.stringify(stateSnapshot)}` },
+      ...(mem.summary ? [{ role: "system", content: `RESUMEN DE LA CONVERSACIÓN (mensajes anteriores):\n${mem.summary}` }] : []),
+      ...(snippets.length ? [{ role: "system", content: buildKnowledgeMessage(snippets) }] : []),
+      ...clampHistory(mem.history, HISTORY_MAX),
+      { role: "user", content: userText },
+    ];
+
+    if (correction) {
+      messages.push(
+        { role: "assistant", content: correction.raw },
+        {
+          role: "system",
+          content:
+            `Tu JSON anterior no es válido:\n${correction.errors.map((e) => `- ${e}`).join("\n")}\n` +
+            "Corrígelo (si faltan datos, pregunta el siguiente en vez de cerrar) y devuelve SOLO el JSON completo.",
+        }
+      );
+    }
+
+    // 3) modelo (forzando JSON; lib/llm.js elige proveedor y hace failover)
+    const completion = await llm.chat(
+      {
+        model: tenant.model.name,
+        messages,
+        temperature: tenant.model.temperature,
+        max_tokens: tenant.model.max_tokens,
+        json: true,
+      },
+      tenant.model
+    );
+
+    spent.push(usageEntry(correction ? "correction" : "chat", completion));
+    const raw = completion.content;
+    let parsed = safeParseModelJson(raw);
+
+    // ✅ si viene roto, reintenta 1 vez “reparando” JSON
+    if (!parsed) {
+      console.error("[converse] JSON parse fail (raw):", raw);
+
+      const repair = await llm.chat(
+        {
+          model: tenant.model.name,
+          temperature: 0,
+          max_tokens: tenant.model.max_tokens,
+          json: true,
+          messages: [
+            {
+              role: "system",
+              content:
+                `Convierte el contenido del usuario en UN SOLO objeto JSON válido con el esquema: ${after ? buildFollowupRepairSchema(flow) : buildRepairSchema(flow)}. Sin texto extra.`,
+            },
+            { role: "user", content: raw || "Responde con JSON válido siguiendo el esquema." },
+          ],
+        },
+        tenant.model
+      );
+
+      spent.push(usageEntry("repair", repair));
+      const raw2 = repair.content;
+      parsed = safeParseModelJson(raw2);
+
+      if (!parsed) {
+        console.error("[converse] JSON parse fail (repair raw):", raw2);
+        return null;
+      }
+      return { parsed, raw: raw2 };
+    }
+
+    return { parsed, raw };
+  }
+
+  // fase 2: modelo + checkFollowup con 1 reintento -> { reply, state, call, slot, errors } | null
+  async function followupTurn(tenant, { flow, lflow, lang, mem, userText, snippets, agenda, spent }) {
+    const slots = agenda?.slots || [];
+    const first = await askModel(tenant, { flow, lflow, lang, mem, userText, snippets, agenda, spent, after: true });
+    if (!first) return null;
+    let result = checkFollowup(flow, mem, first.parsed, snippets, slots);
+
+    if (result.errors.length) {
+      console.error("[converse] invalid followup reply:", result.errors.join(" | "));
+      const correction = { raw: first.raw, errors: result.errors };
+      const second = await askModel(tenant, { flow, lflow, lang, mem, userText, snippets, agenda, correction, spent, after: true });
+      if (second) result = checkFollowup(flow, mem, second.parsed, snippets, slots);
+      if (result.errors.length) console.error("[converse] still invalid, keeping valid fields:", result.errors.join(" | "));
+    }
+    return result;
+  }
+
+  // fase 2 con agenda: horarios libres con id para el modelo (S1..Sn) + la cita vigente | null sin agenda
+  function agendaFor(tenant, flow, mem, lang) {
+    if (!tenant.schedule || !flow.after.call) return null;
+    // cancelada desde la API admin -> ya no cuenta
+    if (mem.booking && scheduler.get(mem.booking.id)?.status !== "booked") mem.booking = null;
+
+    // su cita vigente va al final: si la vuelve a confirmar, no es un horario "ocupado"
+    const current = mem.booking ? [{ start: mem.booking.start, end: mem.booking.end, mine: true }] : [];
+    const slots = [...scheduler.freeSlots(tenant, { limit: AGENDA_SLOTS }), ...current].map(({ mine, ...x }, i) => ({
+      id: `S${i + 1}`,
+      ...x,
+      label: `${formatSlot(x.start, tenant.schedule, lang)}${mine ? " (su cita actual)" : ""}`,
+    }));
+    const booked = mem.booking ? formatSlot(mem.booking.start, tenant.schedule, lang) : "";
+    return { slots, offered: tenant.schedule.offer, booked };
+  }
+
+  // mensajes viejos + resumen anterior -> mem.summary; deja los últimos HISTORY_KEEP en history
+  // si el modelo falla no se pierde nada hasta HISTORY_HARD_MAX (se reintenta en el próximo turno)
+  async function condense(tenant, flow, mem, spent) {
+    const old = mem.history.slice(0, -HISTORY_KEEP);
+    const transcript = old.map((m) => `${m.role === "user" ? "Usuario" : "Asistente"}: ${m.content}`).join("\n");
+
+    try {
+      const completion = await llm.chat(
+        {
+          model: tenant.model.name,
+          temperature: 0,
+          max_tokens: 300,
+          messages: [
+            { role: "system", content: buildSummaryPrompt(flow) },
+            { role: "user", content: `RESUMEN ANTERIOR:\n${mem.summary || "(ninguno)"}\n\nMENSAJES NUEVOS:\n${transcript}` },
+          ],
+        },
+        tenant.model
+      );
+      spent.push(usageEntry("summary", completion));
+
+      const summary = safeText(completion.content);
+      if (!summary) throw new Error("resumen vacío");
+      mem.summary = summary;
+      mem.history = mem.history.slice(-HISTORY_KEEP);
+      console.log("[converse] summarized", old.length, "messages");
+    } catch (e) {
+      console.error("[converse] summary FAILED:", e?.message || e);
+      mem.history = clampHistory(mem.history, HISTORY_HARD_MAX);
+    }
+  }
+
+  // ✅ pausar (opts = { agent, reason, minutes | until }) o reanudar (null) el bot para un contacto (API admin)
+  async function setHandoff(tenant, contactId, opts) {
+    const flow = flows.get(tenant.flow);
+    return locks.withLock(tenant, contactId, async () => {
+      const mem = await memory.load(tenant, contactId, flow);
+      const was = activeHandoff(mem);
+      mem.handoff = opts ? makeHandoff({ by: "agent", ...opts }) : null;
+      await memory.save(tenant, contactId, mem);
+
+      if (mem.handoff) emitEvent("conversation.handoff", tenant, { contact_id: contactId, flow: flow.id, handoff: mem.handoff });
+      else if (was) emitEvent("conversation.resumed", tenant, { contact_id: contactId, flow: flow.id, by: "agent" });
+      return mem.handoff;
+    });
+  }
+
+  async function getHandoff(tenant, contactId) {
+    const mem = await memory.load(tenant, contactId, flows.get(tenant.flow));
+    return activeHandoff(mem);
+  }
+
+  // historial visible (user/assistant) de un contacto, ej. para reabrir el chat web
+  async function history(tenant, contactId) {
+    const mem = await memory.load(tenant, contactId, flows.get(tenant.flow));
+    return clampHistory(mem.history, 50);
+  }
+
+  return { converse, history, setHandoff, getHandoff };
+}
+
+module.exports = { createEngine, buildLeadSummary, safeParseModelJson, clampHistory, isAck, ERROR_REPLY };
@@ -0,0 +1,78 @@
+const { safeText, contactPhone } = require("./helpers");
+
+const EXPORT_FORMATS = ["csv", "ndjson"];
+
+// mismas piezas que buildLeadSummary(): campos del flujo + WhatsApp + wa.me + hora
+function leadRow(lead, fieldKeys) {
+  const waDigits = contactPhone(lead.contact_id, lead.channel);
+
+  return {
+    id: lead.id,
+    tenant: lead.tenant,
+    flow: lead.flow,
+    channel: safeText(lead.channel) || "manychat",
+    status: lead.status,
+    ...Object.fromEntries(fieldKeys.map((k) => [k, safeText(lead.fields?.[k])])),
+    whatsapp: waDigits || safeText(lead.contact_id),
+    wa_link: waDigits ? `https://wa.me/${waDigits}` : "",
+    created_at: lead.created_at,
+    notification: safeText(lead.notification?.status),
+    booking: lead.booking?.status === "booked" ? lead.booking.start : "",
+    cost_usd: lead.usage ? lead.usage.cost_usd : "",
+  };
+}
+
+// columnas = unión de campos de los flujos presentes (en orden de aparición)
+function collectFieldKeys(leads) {
+  const keys = [];
+  for (const l of leads) {
+    for (const k of Object.keys(l.fields || {})) {
+      if (!keys.includes(k)) keys.push(k);
+    }
+  }
+  return keys;
+}
+
+function csvCell(value) {
+  let s = String(value ?? "");
+  // evita que Excel/Sheets interprete fórmulas que vengan del usuario
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// escribe línea a línea en cualquier stream (res de express, archivo, stdout)
+async function writeLeads(out, leads, format) {
+  const keys = collectFieldKeys(leads);
+
+  // ✅ el cliente se desconectó -> "drain" no llega nunca: esperar también close/error y cortar el bucle
+  const closed = () => out.writableEnded || out.destroyed;
+  const write = (chunk) =>
+    new Promise((resolve) => {
+      if (closed()) return resolve(false);
+      if (out.write(chunk)) return resolve(true);
+      const done = () => {
+        out.off("drain", done);
+        out.off("close", done);
+        out.off("error", done);
+        resolve(!closed());
+      };
+      out.once("drain", done);
+      out.once("close", done);
+      out.once("error", done);
+    });
+
+  if (format === "csv") {
+    const header = Object.keys(leadRow({ fields: {} }, keys));
+    if (!(await write(`${header.map(csvCell).join(",")}\n`))) return;
+    for (const lead of leads) {
+      if (!(await write(`${Object.values(leadRow(lead, keys)).map(csvCell).join(",")}\n`))) return;
+    }
+    return;
+  }
+
+  for (const lead of leads) {
+    if (!(await write(`${JSON.stringify(leadRow(lead, keys))}\n`))) return;
+  }
+}
+
+module.exports = { EXPORT_FORMATS, leadRow, writeLeads };
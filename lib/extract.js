@@ -0,0 +1,198 @@
+const { safeText } = require("./helpers");
+
+// --- Extractor determinista (antes del modelo) ---
+// Respuestas cortas y comunes ("15", "barbería", "agendar citas") se reconocen con reglas y
+// diccionarios de sinónimos; si no hay duda, el motor llena el estado sin llamar a OpenAI.
+// En el flujo: field.extract = { type: "weekly_count" } | { type: "synonyms", dictionary?: "sectors", values?: {...} }
+
+// valor canónico (como se guarda y llega al resumen) -> sinónimos es/en/pt
+// "odontolog*" = prefijo; los sinónimos se comparan sin acentos y por palabra completa
+const DICTIONARIES = {
+  sectors: {
+    "clínica dental": ["clinica dental", "dental", "dentista", "dentistas", "odontolog*", "dentist", "dental clinic", "clinica odontologica"],
+    spa: ["spa", "day spa", "masajes", "massage", "massagem"],
+    "salón de belleza": ["salon de belleza", "salon", "belleza", "beauty salon", "peluqueria", "estetica", "manicure", "nails", "salao de beleza", "cabeleireiro"],
+    barbería: ["barberia", "barber", "barbershop", "barber shop", "barbearia"],
+    consultorio: ["consultorio", "consultorio medico", "medico", "doctor", "medical office"],
+    clínica: ["clinica", "clinic", "clinica medica"],
+    estudio: ["estudio", "studio", "tatuajes", "tattoo", "yoga", "pilates", "estudio de fotografia"],
+    gimnasio: ["gimnasio", "gym", "academia", "crossfit"],
+    restaurante: ["restaurante", "restaurant", "cafeteria", "cafe", "comida", "pizzeria"],
+    "tienda de ropa": ["tienda de ropa", "ropa", "boutique", "clothing store", "clothing", "loja de roupas", "roupas"],
+  },
+  automation: {
+    "agendar citas": ["agendar", "agendar citas", "reservar", "booking", "bookings", "book appointments", "scheduling", "agendar consultas"],
+    "confirmar/recordatorios": ["confirmar", "confirmaciones", "recordatorio*", "reminder*", "confirmation*", "lembrete*", "confirmacoes"],
+    reagendar: ["reagendar", "reprogramar", "reschedul*", "cambiar citas"],
+    // solo frases: "info" o "precios" sueltos suelen ser una pregunta, no la respuesta
+    "información y precios": ["informacion y precios", "info y precios", "dar precios", "responder preguntas", "preguntas frecuentes", "faq", "prices and info", "informacoes e precos"],
+  },
+};
+
+// relleno que no cambia el sentido de una respuesta corta ("una barbería", "para agendar citas")
+const FILLER = new Set(
+  [
+    "un", "una", "unos", "unas", "el", "la", "los", "las", "de", "del", "mi", "mis", "es", "soy", "tengo", "tenemos",
+    "para", "por", "y", "e", "con", "en", "que", "quiero", "queremos", "me", "gustaria", "seria", "pues", "bueno",
+    "a", "an", "the", "my", "i", "have", "we", "it", "is", "its", "to", "for", "and", "of", "want", "would", "like",
+    "o", "os", "um", "uma", "meu", "minha", "tenho", "temos", "quero", "gostaria", "com", "do", "da",
+    "como", "aprox", "aproximadamente", "around", "about", "mais", "menos", "cerca", "more", "or", "less", "than",
+    "semana", "semanal", "semanales", "week", "weekly", "semanais", "citas", "appointments", "agendamentos",
+    "mas", "over", "plus", "entre", "between", "ok", "si", "yes", "sim", "creo", "maybe",
+  ]
+);
+
+function normalize(text) {
+  return safeText(text)
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9+\s-]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function words(text) {
+  const s = normalize(text);
+  return s ? s.split(" ") : [];
+}
+
+// sinónimo -> RegExp por palabra completa ("odontolog*" = prefijo)
+function synonymRegex(syn) {
+  const prefix = syn.endsWith("*");
+  const body = normalize(prefix ? syn.slice(0, -1) : syn)
+    .split(" ")
+    .map((w) => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("\\s+");
+  return new RegExp(`(?:^|\\s)(${body}${prefix ? "[a-z]*" : ""})(?=\\s|$)`);
+}
+
+const compiled = new WeakMap();
+
+function compileValues(values) {
+  if (compiled.has(values)) return compiled.get(values);
+  const list = Object.entries(values).map(([value, syns]) => ({ value, res: [value, ...syns].map(synonymRegex) }));
+  compiled.set(values, list);
+  return list;
+}
+
+// -> { value, used: [frases reconocidas] } | null si no hay match o hay más de un valor posible
+function matchSynonyms(values, text) {
+  const s = normalize(text);
+  const hits = [];
+
+  for (const { value, res } of compileValues(values)) {
+    const found = res.map((re) => s.match(re)?.[1]).filter(Boolean);
+    if (found.length) hits.push({ value, used: found, longest: Math.max(...found.map((f) => f.length)) });
+  }
+
+  // "clínica dental" gana a "clínica": se descartan matches contenidos en uno más largo
+  const kept = hits.filter((h) => !hits.some((o) => o !== h && o.longest > h.longest && o.used.some((u) => h.used.every((x) => u.includes(x)))));
+
+  return kept.length === 1 ? { value: kept[0].value, used: kept[0].used } : null;
+}
+
+// -> valor canónico si TODO el texto es un sinónimo ("Barbería", "odontología") | null
+// lo que el modelo escribió con más detalle ("clínica veterinaria") no se reduce a una etiqueta
+function matchWholeSynonym(values, text) {
+  const s = normalize(text);
+  const hits = compileValues(values).filter(({ res }) => res.some((re) => s.match(re)?.[1] === s));
+  return hits.length === 1 ? hits[0].value : null;
+}
+
+const WEEK_WORDS = /\b(semana|semanal|semanales|week|weekly|semanais)\b/;
+const OTHER_PERIOD = /\b(dia|diarias|diarios|al dia|day|daily|a day|mes|mensual|month|monthly|mensais)\b/;
+const MORE_THAN = /\b(mas de|over|more than|mais de)\b/;
+
+// "15", "60+", "como 20 a la semana", "entre 20 y 30" -> "15" | "60+" | "20-30"; null si hay duda
+function matchWeeklyCount(text, { pending } = {}) {
+  const s = normalize(text);
+  if (OTHER_PERIOD.test(s)) return null; // por día/mes: que lo convierta el modelo
+
+  const nums = s.match(/\d{1,4}/g) || [];
+  const bare = /^\d{1,4}\s*\+?$/.test(s);
+  if (!bare && !WEEK_WORDS.test(s) && !pending) return null;
+  if (!nums.length || nums.length > 2) return null;
+
+  const plus = /\d\s*\+/.test(s) || MORE_THAN.test(s);
+  if (nums.length === 2) {
+    if (!/\d\s*(-|a|y|to|and|e)\s*\d/.test(s)) return null;
+    return { value: `${nums[0]}-${nums[1]}`, used: nums };
+  }
+  return { value: `${nums[0]}${plus ? "+" : ""}`, used: nums };
+}
+
+const EXTRACTORS = {
+  weekly_count: (field, text, opts) => matchWeeklyCount(text, opts),
+  synonyms: (field, text) => {
+    const cfg = field.extract;
+    const values = cfg.values || DICTIONARIES[cfg.dictionary];
+    return values ? matchSynonyms(values, text) : null;
+  },
+};
+
+function validateExtract(field) {
+  for (const cfg of [field.extract, field.normalize]) {
+    if (!cfg) continue;
+    if (!EXTRACTORS[cfg.type]) return `extractor desconocido "${cfg.type}"`;
+    if (cfg.type === "synonyms" && !cfg.values && !DICTIONARIES[cfg.dictionary]) {
+      return `diccionario desconocido "${cfg.dictionary}"`;
+    }
+  }
+  return "";
+}
+
+const MAX_COUNT = 5000; // citas por semana: más que esto es un error del modelo
+
+// ✅ normalizar lo que escribe el modelo en un campo -> { value } | { error }
+// field.normalize (o si no, field.extract): weekly_count -> "15" | "60+" | "20-30" (solo número o "por semana");
+// synonyms -> valor canónico si el valor entero es un sinónimo; si no, el texto tal cual
+// (strict: true = solo valores del diccionario, también si el sinónimo viene dentro del texto)
+function normalizeField(field, raw) {
+  const value = safeText(raw).replace(/\s+/g, " ");
+  const cfg = field.normalize || field.extract;
+  if (!value || !cfg) return { value };
+
+  if (cfg.type === "weekly_count") {
+    // "2 sucursales" no es una respuesta: el número cuenta solo ("15", "60+", "20-30") o con "semana"
+    const numeric = /^\d{1,4}\s*(\+|(-|a|to)\s*\d{1,4})?$/.test(normalize(value));
+    const hit = matchWeeklyCount(value, { pending: numeric });
+    if (!hit) return { error: `"${value}" no es un número de citas por semana (ej. 15, 60+, 20-30)` };
+    const [a, b] = hit.value.replace("+", "").split("-").map(Number);
+    if (!(a > 0) || a > MAX_COUNT || (b !== undefined && !(b > a && b <= MAX_COUNT))) {
+      return { error: `"${value}" está fuera de rango (1-${MAX_COUNT} por semana)` };
+    }
+    return { value: hit.value };
+  }
+
+  const values = cfg.values || DICTIONARIES[cfg.dictionary] || {};
+  const whole = matchWholeSynonym(values, value);
+  if (whole) return { value: whole };
+  if (!cfg.strict) return { value };
+
+  const hit = matchSynonyms(values, value);
+  if (hit) return { value: hit.value };
+  return { error: `"${value}" no es una opción válida (${Object.keys(values).join(", ")})` };
+}
+
+// ✅ campos vacíos que el texto responde sin ambigüedad -> { values: { key: valor }, leftover: palabras sin explicar }
+// los números solo cuentan para el paso pendiente o con "semana" explícito
+function extractFields(flow, mem, text) {
+  const values = {};
+  const used = [];
+
+  for (const f of flow.fields) {
+    if (!f.extract || mem[f.key]) continue;
+    const hit = EXTRACTORS[f.extract.type](f, text, { pending: mem.pending === f.key });
+    if (!hit) continue;
+    values[f.key] = hit.value;
+    used.push(...hit.used);
+  }
+
+  const usedWords = new Set(used.flatMap((u) => words(u)));
+  const leftover = words(text).filter((w) => !usedWords.has(w) && !FILLER.has(w) && !/^\d+\+?$/.test(w));
+
+  return { values, leftover };
+}
+
+module.exports = { DICTIONARIES, extractFields, normalizeField, validateExtract, matchSynonyms, matchWeeklyCount };
@@ -0,0 +1,414 @@
+const fs = require("fs");
+const path = require("path");
+const { safeText } = require("./helpers");
+const { LANGS, LANG_NAMES, t } = require("./i18n");
+const { validateExtract } = require("./extract");
+
+// --- Validadores (aceptar respuesta sin pasar por el modelo) ---
+
+// ✅ detectar @ / links / nombres raros sin “rechazarlos”
+function looksLikeLinkOrHandle(t) {
+  const s = safeText(t);
+  const low = s.toLowerCase();
+  return (
+    s.includes("@") ||
+    low.includes("http") ||
+    low.includes("www.") ||
+    low.includes(".com") ||
+    low.includes(".do") ||
+    low.includes("instagram") ||
+    low.includes("tiktok") ||
+    low.includes("wa.me")
+  );
+}
+
+function looksLikeBusinessName(t) {
+  const s = safeText(t);
+  if (s.length < 3) return false;
+
+  const low = s.toLowerCase();
+
+  const blocked = new Set([
+    "hola",
+    "buenas",
+    "buenos dias",
+    "buenas tardes",
+    "buenas noches",
+    "ok",
+    "okay",
+    "gracias",
+    "mañana",
+    "perfecto",
+    "listo",
+    "si",
+    "sí",
+    "no",
+    "ambos",
+    "ambas",
+    "redes",
+    "bot",
+    "ventas",
+    "leads",
+    "reservas",
+    "posicionamiento",
+    "👍",
+    "...",
+    "..",
+    ".",
+  ]);
+
+  if (blocked.has(low)) return false;
+  return true;
+}
+
+const VALIDATORS = {
+  link_or_handle: (text) => looksLikeLinkOrHandle(text),
+  business_name: (text) => looksLikeBusinessName(text),
+  pattern: (text, v) => new RegExp(v.value, v.flags || "i").test(safeText(text)),
+  min_length: (text, v) => safeText(text).length >= Number(v.value || 1),
+};
+
+// --- Carga de flujos ---
+function validateFlow(flow, file) {
+  const where = `[flows] ${path.basename(file)}`;
+  if (!flow || typeof flow !== "object") throw new Error(`${where}: no es un objeto JSON`);
+  if (!safeText(flow.id)) throw new Error(`${where}: falta "id"`);
+  if (!Array.isArray(flow.fields) || !flow.fields.length) throw new Error(`${where}: "fields" vacío`);
+
+  const seen = new Set();
+  for (const f of flow.fields) {
+    const key = safeText(f?.key);
+    if (!key) throw new Error(`${where}: campo sin "key"`);
+    if (key === "none" || seen.has(key)) throw new Error(`${where}: key inválida o repetida "${key}"`);
+    seen.add(key);
+    if (!safeText(f.question)) throw new Error(`${where}: "${key}" sin "question"`);
+
+    for (const v of f.validators || []) {
+      if (!VALIDATORS[v?.type]) throw new Error(`${where}: validador desconocido "${v?.type}" en "${key}"`);
+    }
+
+    const extractError = validateExtract(f);
+    if (extractError) throw new Error(`${where}: ${extractError} en "${key}"`);
+  }
+
+  if (!safeText(flow.closing?.message)) throw new Error(`${where}: falta "closing.message"`);
+
+  for (const lang of Object.keys(flow.i18n || {})) {
+    if (!LANGS.includes(lang)) throw new Error(`${where}: idioma desconocido en "i18n": "${lang}"`);
+  }
+
+  // fase 2 (opcional): { objective, faq: [{ q, a }], call: true = coordinar llamada }
+  if (flow.after) {
+    const faq = flow.after.faq || [];
+    if (!Array.isArray(faq) || faq.some((x) => !safeText(x?.q) || !safeText(x?.a))) {
+      throw new Error(`${where}: "after.faq" debe ser [{ "q", "a" }]`);
+    }
+  }
+  return flow;
+}
+
+function loadFlowFile(file) {
+  const raw = fs.readFileSync(file, "utf8");
+  return validateFlow(JSON.parse(raw), file);
+}
+
+// Carga todos los *.json de la carpeta -> Map(id => flow)
+function loadFlows(dir) {
+  const flows = new Map();
+  const files = fs.readdirSync(dir).filter((f) => f.endsWith(".json"));
+
+  for (const f of files) {
+    const flow = loadFlowFile(path.join(dir, f));
+    if (flows.has(flow.id)) throw new Error(`[flows] id repetido "${flow.id}" (${f})`);
+    flows.set(flow.id, flow);
+  }
+
+  return flows;
+}
+
+// --- Generadores a partir del flujo ---
+function fieldKeys(flow) {
+  return flow.fields.map((f) => f.key);
+}
+
+// campos de estado = preguntas + lo que el cierre marca (ej. objetivo="calificado")
+function stateKeys(flow) {
+  const keys = fieldKeys(flow);
+  for (const k of Object.keys(flow.closing?.set || {})) {
+    if (!keys.includes(k)) keys.push(k);
+  }
+  return keys;
+}
+
+function getField(flow, key) {
+  return flow.fields.find((f) => f.key === key) || null;
+}
+
+function defaultMemory(flow) {
+  const mem = {};
+  for (const k of stateKeys(flow)) mem[k] = "";
+
+  return {
+    ...mem,
+    cerrado: false,
+    cierre_enviado: false,
+    pending: flow.fields[0].key,
+    history: [],
+    admin_notified: false, // ✅ evitar enviar el aviso 2 veces
+    lang: "", // idioma detectado del contacto (lib/i18n.js)
+    summary: "", // resumen de los mensajes que ya salieron de history
+    handoff: null, // bot en pausa: atiende una persona (lib/handoff.js)
+    call: null, // fase 2: { requested: "martes 10am", at } llamada pedida con el representante
+    booking: null, // fase 2: { id, start, end, ics } llamada agendada en la agenda (lib/scheduler.js)
+  };
+}
+
+function inferPending(flow, mem) {
+  for (const f of flow.fields) {
+    if (!mem[f.key]) return f.key;
+  }
+  return "none";
+}
+
+function isLeadComplete(flow, mem) {
+  return inferPending(flow, mem) === "none" && !!mem.cierre_enviado;
+}
+
+// ✅ aceptar la respuesta tal cual si el campo pendiente tiene validadores y alguno pasa
+function acceptsDirectly(field, text) {
+  const validators = field?.validators || [];
+  return validators.some((v) => VALIDATORS[v.type](text, v));
+}
+
+function joinKeys(keys) {
+  if (keys.length <= 1) return keys.join("");
+  return `${keys.slice(0, -1).join(", ")} y ${keys[keys.length - 1]}`;
+}
+
+// pregunta + ejemplos tal como se le manda al usuario
+function questionText(field, lang) {
+  const examples = Array.isArray(field.examples) && field.examples.length
+    ? ` ${t(lang, "examples")}: ${field.examples.join(", ")}.`
+    : "";
+  return `${field.question}${examples}`;
+}
+
+function formatQuestion(field, lang) {
+  return `“${questionText(field, lang)}”`;
+}
+
+function formatSection(section) {
+  const lines = Array.isArray(section.lines) ? section.lines.map((l) => `- ${l}`) : [];
+  const body = section.text ? [section.text, ...lines] : lines;
+  return `${section.title}\n${body.join("\n")}`;
+}
+
+function stateTemplate(flow) {
+  const state = {};
+  for (const k of stateKeys(flow)) state[k] = "";
+  state.cerrado = false;
+  state.cierre_enviado = false;
+  state.pending = [...fieldKeys(flow), "none"].join("|");
+  return state;
+}
+
+// idioma del contacto (detectado en lib/i18n.js); sin idioma = el del flujo
+function languageSection(lang) {
+  return LANG_NAMES[lang]
+    ? `\nIDIOMA\n- Responde SIEMPRE en ${LANG_NAMES[lang]}, aunque estas instrucciones estén en español.\n` +
+        `- Si alguna pregunta o el cierre están en otro idioma, tradúcelos fielmente (mismo sentido, emojis y [campos]).\n` +
+        `- Si el usuario cambia de idioma, cambia con él. Guarda el state en el idioma en que lo dijo el usuario.\n`
+    : "";
+}
+
+function buildSystemPrompt(flow, { lang = "" } = {}) {
+  const keys = fieldKeys(flow);
+  const n = keys.length;
+  const closing = flow.closing;
+
+  const closingSet = Object.entries(closing.set || {})
+    .map(([k, v]) => ` y ${k}=${JSON.stringify(v)}`)
+    .join("");
+
+  const closingTask = closing.exact
+    ? `- Cuando ya tengas las ${n}, responde EXACTO:\n  “${closing.message}”\n  y marca cerrado=true, cierre_enviado=true${closingSet}.`
+    : `- Cuando ya tengas las ${n}, envía el CIERRE ÚNICO y marca cerrado=true y cierre_enviado=true${closingSet}.`;
+
+  const closingBlock = closing.exact
+    ? ""
+    : `\nCIERRE ÚNICO (completa los [campos] con lo que dijo el usuario)\n“${closing.message}”\n`;
+
+  const important = [
+    `- Si el usuario responde varias cosas en un mismo mensaje (incluyendo audio transcrito), extrae y guarda TODO lo que puedas para: ${joinKeys(keys)}.`,
+    `- Si ya tienes las ${n} respuestas, NO preguntes más: cierra.`,
+    ...flow.fields.filter((f) => safeText(f.hint)).map((f) => `- ${f.hint}`),
+  ];
+
+  const sections = (flow.sections || []).map((s) => `\n${formatSection(s)}\n`).join("");
+
+  const language = languageSection(lang);
+
+  return `
+${flow.persona}
+
+REGLAS CLAVE
+${(flow.rules || []).map((r) => `- ${r}`).join("\n")}
+${sections}${language}
+OBJETIVO
+${flow.objective}
+
+PREGUNTAS (en este orden, SIN botones; incluye ejemplos en el mismo mensaje)
+${flow.fields.map((f, i) => `${i + 1}) (${f.key}) ${f.label || f.key}:\n${formatQuestion(f, lang)}`).join("\n\n")}
+
+REGLAS IMPORTANTES
+${important.join("\n")}
+
+TAREA
+- Usa el estado recibido (${[...stateKeys(flow), "cerrado", "cierre_enviado", "pending"].join("/")}).
+- Interpreta respuestas de una palabra según la última pregunta (pending).
+- Pregunta SOLO 1 cosa siguiendo el orden ${keys.join(" -> ")}.
+${closingTask}
+${closingBlock}
+SALIDA OBLIGATORIA:
+Devuelve SOLO JSON válido (sin texto extra), con este formato:
+${JSON.stringify({ reply: "mensaje para el usuario", state: stateTemplate(flow) }, null, 2)}
+`;
+}
+
+// fragmentos de la base de conocimiento que usó la respuesta ("K1"...; lib/knowledge.js)
+const SOURCES_SCHEMA = { type: ["array", "null"], items: { type: "string" } };
+
+// JSON Schema de la salida del modelo (lib/schema.js); los valores los termina de limpiar normalizeField
+function buildReplySchema(flow) {
+  const fieldProps = Object.fromEntries(
+    stateKeys(flow).map((k) => [k, { type: ["string", "number", "null"], maxLength: 200 }])
+  );
+
+  return {
+    type: "object",
+    required: ["reply", "state"],
+    properties: {
+      reply: { type: "string", minLength: 1, maxLength: 1000 },
+      state: {
+        type: "object",
+        required: ["cerrado", "cierre_enviado"],
+        properties: {
+          ...fieldProps,
+          cerrado: { type: "boolean" },
+          cierre_enviado: { type: "boolean" },
+          pending: { type: ["string", "null"] },
+        },
+      },
+      fuentes: SOURCES_SCHEMA,
+    },
+  };
+}
+
+// esquema compacto para el prompt de reparación de JSON
+function buildRepairSchema(flow) {
+  return `{reply:string, state:{${stateKeys(flow).join(",")},cerrado:boolean,cierre_enviado:boolean,pending}}`;
+}
+
+// --- Fase 2: después del cierre (flow.after) ---
+// dudas con la info de la agencia, correcciones de datos ya capturados y llamada con el representante
+// agenda = { slots: [{ id: "S1", label }], offered: cuántos se le ofrecieron al cerrar, booked: label | "" } (lib/scheduler.js)
+function buildFollowupPrompt(flow, { lang = "", agenda = null } = {}) {
+  const after = flow.after;
+  const keys = fieldKeys(flow);
+  const faq = (after.faq || []).map((x) => `- P: ${x.q}\n  R: ${x.a}`).join("\n");
+
+  let call = "";
+  if (after.call && agenda) {
+    call =
+      (agenda.booked ? `- Ya tiene una llamada agendada: ${agenda.booked}. Si pide cambiarla, ofrécele otro horario libre.\n` : "") +
+      `- Si quiere una llamada, ofrécele SOLO horarios de HORARIOS LIBRES (los primeros ${agenda.offered} ya se le ofrecieron, en ese orden). ` +
+      `Cuando elija uno, pon su id en "cita" (ej. "S2") y confírmale el día y la hora; el enlace del calendario lo agrega el sistema.\n` +
+      `- Si ninguno le sirve, pon en "llamada" el día y la hora que prefiere y dile que el representante se lo confirma.\n`;
+  } else if (after.call) {
+    call = `- Si quiere hablar por llamada, pregúntale qué día y hora le acomodan; cuando los diga, ponlos en "llamada" (ej. "martes 10am") y confirma que el representante lo llamará.\n`;
+  }
+  const slots = agenda
+    ? `\nHORARIOS LIBRES PARA LA LLAMADA (hora del negocio)\n${agenda.slots.map((x) => `- ${x.id}: ${x.label}`).join("\n") || "- (no hay horarios libres)"}\n`
+    : "";
+
+  return `
+${flow.persona}
+
+REGLAS CLAVE
+${(flow.rules || []).map((r) => `- ${r}`).join("\n")}
+${languageSection(lang)}
+OBJETIVO
+${after.objective || "El lead ya está calificado. Resuelve sus dudas y corrige sus datos si lo pide."}
+
+DATOS CAPTURADOS (en ESTADO ACTUAL)
+${flow.fields.map((f) => `- ${f.key}: ${f.label || f.key}`).join("\n")}
+
+INFORMACIÓN DE LA AGENCIA (única fuente de datos)
+${faq || "- (sin información cargada)"}
+${slots}
+TAREA
+- El cierre ya se envió: NO repitas las preguntas de calificación ni el cierre.
+- Responde dudas SOLO con la INFORMACIÓN DE LA AGENCIA; si no está ahí, di que el representante lo confirma. No inventes precios, plazos ni datos.
+- Si el usuario corrige un dato ya capturado (ej. "en realidad son 40 citas"), pon el valor nuevo en "updates" con su clave (${keys.join(", ")}) y confirma el cambio.
+${call}- Si solo agradece o se despide, responde corto y amable.
+
+SALIDA OBLIGATORIA:
+Devuelve SOLO JSON válido (sin texto extra), con este formato:
+${JSON.stringify({ reply: "mensaje para el usuario", updates: {}, llamada: "", ...(agenda ? { cita: "" } : {}) }, null, 2)}
+`;
+}
+
+function buildFollowupSchema(flow) {
+  const fieldProps = Object.fromEntries(
+    fieldKeys(flow).map((k) => [k, { type: ["string", "number", "null"], maxLength: 200 }])
+  );
+
+  return {
+    type: "object",
+    required: ["reply"],
+    properties: {
+      reply: { type: "string", minLength: 1, maxLength: 1000 },
+      updates: { type: ["object", "null"], properties: fieldProps, additionalProperties: false },
+      llamada: { type: ["string", "null"], maxLength: 200 },
+      cita: { type: ["string", "null"], maxLength: 10 }, // id de HORARIOS LIBRES
+      fuentes: SOURCES_SCHEMA,
+    },
+  };
+}
+
+function buildFollowupRepairSchema(flow) {
+  return `{reply:string, updates:{${fieldKeys(flow).join("?,")}?}, llamada:string, cita?:string}`;
+}
+
+// resumen acumulado: lo que ya no entra en la ventana de historial
+function buildSummaryPrompt(flow) {
+  return (
+    "Resume esta conversación entre un asistente de ventas y un prospecto para que el asistente pueda seguirla sin leerla.\n" +
+    "- Parte del RESUMEN ANTERIOR (si hay) y agrega lo nuevo; no pierdas datos ya resumidos.\n" +
+    `- Conserva todo lo que dijo el usuario sobre: ${joinKeys(flow.fields.map((f) => f.label || f.key))}; ` +
+    "además nombres, horarios, dudas, objeciones, promesas del asistente y lo que quedó pendiente.\n" +
+    "- Máximo 8 viñetas cortas, en español, en tercera persona. Sin saludos ni texto extra."
+  );
+}
+
+module.exports = {
+  looksLikeLinkOrHandle,
+  looksLikeBusinessName,
+  loadFlows,
+  loadFlowFile,
+  fieldKeys,
+  stateKeys,
+  getField,
+  defaultMemory,
+  inferPending,
+  isLeadComplete,
+  acceptsDirectly,
+  questionText,
+  buildSystemPrompt,
+  buildRepairSchema,
+  buildReplySchema,
+  buildSummaryPrompt,
+  buildFollowupPrompt,
+  buildFollowupSchema,
+  buildFollowupRepairSchema,
+};
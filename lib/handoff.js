@@ -0,0 +1,77 @@
+const { safeText } = require("./helpers");
+
+// --- Handoff a una persona (bot en pausa por contacto) ---
+// mem.handoff = null | { by: "agent" | "auto", agent, reason, since, until ("" = hasta reanudar) }
+// Mientras está activo el bot no llama al modelo: responde tenant.handoff.reply (o nada).
+
+// minúsculas, sin acentos ni apóstrofes ("don't" -> "dont", "¿Podés?" -> "podes")
+function normalize(text) {
+  return safeText(text)
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9\s]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// pide hablar con alguien del equipo (es/en/pt): solo pedidos en primera persona ("quiero hablar con un asesor",
+// "talk to a human") o el mensaje entero ("un humano por favor"); "que el bot atienda a cada persona" es una respuesta
+const WHO_ES = "(persona|humano|asesor|asesora|agente|representante|ejecutivo|ejecutiva|vendedor|vendedora|encargado|encargada|alguien(?! que))";
+const WHO_EN = "(human|person|agent|representative|rep|someone|somebody|operator)";
+const WHO_PT = "(pessoa|humano|atendente|representante|consultor|consultora|vendedor|vendedora|alguem(?! que))";
+const PLEASE = "( por favor| porfa| please| pls)?";
+const HUMAN_REQUEST = [
+  new RegExp(`\\b(quiero|quisiera|necesito|me gustaria|puedo|podria|prefiero|deseo) (hablar|comunicarme|conversar) con (un|una|el|la|algun|alguna|tu|su)? ?(real )?${WHO_ES}\\b`),
+  new RegExp(`\\b(pasame|pasenme|me pasas|me pasan|comunicame|me comunicas|me comunican|contactame) con (un|una|el|la|algun|alguna)? ?${WHO_ES}\\b`),
+  new RegExp(`^(un |una )?(humano|persona real|asesor humano|asesor|agente|atencion humana)${PLEASE}$`),
+  new RegExp(`\\b(i want|i need|id like|i would like|can i|could i|let me|may i|i wanna) (to )?(talk|speak|chat) (to|with) (a|an|the|your|some)? ?(real |live )?${WHO_EN}\\b`),
+  new RegExp(`\\b(connect|transfer|put) me (through )?(to|with) (a|an|the|your|some)? ?(real |live )?${WHO_EN}\\b`),
+  new RegExp(`^(a )?(human|real person|live agent|human agent)${PLEASE}$`),
+  new RegExp(`\\b(quero|queria|preciso|gostaria de|posso) (falar|conversar) com (um|uma|o|a|algum|alguma)? ?${WHO_PT}\\b`),
+  new RegExp(`\\b(me passa|me passe|me transfere|me transfira) (para|pra|com) (um|uma|o|a)? ?${WHO_PT}\\b`),
+  new RegExp(`^(um )?(atendente|atendimento humano|pessoa real|humano)${PLEASE}$`),
+];
+
+// frustración con el bot (es/en/pt); "no me entiendes" y compañía solo al final del mensaje
+// ("you dont understand, the price is fine" sigue la conversación)
+const FRUSTRATION = [
+  /\b(eres un bot|eres un robot|esto no sirve|no sirves|que fastidio)\b/,
+  /\b(no me entiendes|no entiendes|no entendiste|ya te dije|ya te lo dije)$/,
+  /\b(youre a bot|are you a bot|this is useless|youre useless|stupid bot)\b/,
+  /\b(you dont understand|you didnt understand|i already told you)$/,
+  /\b(e um robo|isso nao serve)\b/,
+  /\b(voce nao entende|nao entendeu|ja te disse|ja falei)$/,
+];
+
+// -> "human_request" | "frustration" | ""
+function detectHandoff(text) {
+  const s = normalize(text);
+  if (!s) return "";
+  if (HUMAN_REQUEST.some((re) => re.test(s))) return "human_request";
+  if (FRUSTRATION.some((re) => re.test(s))) return "frustration";
+  return "";
+}
+
+// handoff vigente o null (vencido = el bot vuelve solo)
+function activeHandoff(mem, now = Date.now()) {
+  const h = mem?.handoff;
+  if (!h) return null;
+  if (h.until && Date.parse(h.until) <= now) return null;
+  return h;
+}
+
+// { by, agent?, reason?, minutes? | until? } -> mem.handoff (minutes 0 = hasta reanudar)
+function makeHandoff({ by = "agent", agent = "", reason = "", minutes = 0, until = "" } = {}, now = Date.now()) {
+  const end = safeText(until) ? Date.parse(until) : minutes > 0 ? now + minutes * 60 * 1000 : NaN;
+  return {
+    by,
+    agent: safeText(agent),
+    reason: safeText(reason),
+    since: new Date(now).toISOString(),
+    until: Number.isNaN(end) ? "" : new Date(end).toISOString(),
+  };
+}
+
+module.exports = { detectHandoff, activeHandoff, makeHandoff };
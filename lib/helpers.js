@@ -0,0 +1,42 @@
+// --- Helpers compartidos ---
+function safeText(x) {
+  return String(x ?? "").trim();
+}
+
+function toDigits(x) {
+  return safeText(x).replace(/[^\d]/g, "");
+}
+
+function normalizeBaseUrl(base) {
+  const b = safeText(base);
+  if (!b) return "";
+  return b.endsWith("/") ? b.slice(0, -1) : b;
+}
+
+// "{...}" | {...} -> objeto (null si no es JSON)
+function tryParseJson(x) {
+  if (!x) return null;
+  if (typeof x === "object") return x;
+  const s = safeText(x);
+  if (!s) return null;
+  try {
+    return JSON.parse(s);
+  } catch {
+    return null;
+  }
+}
+
+// canales donde contact_id es (o puede ser) un teléfono de WhatsApp
+const PHONE_CHANNELS = ["manychat", "whatsapp"];
+
+function contactPhone(contactId, channel = "manychat") {
+  return PHONE_CHANNELS.includes(channel || "manychat") ? toDigits(contactId) : "";
+}
+
+// "a, b" | ["a","b"] -> ["a","b"]
+function splitList(x) {
+  const arr = Array.isArray(x) ? x : safeText(x).split(",");
+  return arr.map(safeText).filter(Boolean);
+}
+
+module.exports = { safeText, toDigits, contactPhone, normalizeBaseUrl, splitList, tryParseJson };
@@ -0,0 +1,160 @@
+const { safeText } = require("./helpers");
+
+// --- Idiomas del bot ---
+// es = idioma base de los flujos; en/pt para prospectos que escriben en inglés o portugués
+const LANGS = ["es", "en", "pt"];
+const DEFAULT_LANG = "es";
+
+// nombre para el prompt ("Responde SIEMPRE en ...")
+const LANG_NAMES = { es: "español", en: "inglés (English)", pt: "portugués (português)" };
+
+// textos fijos del servidor (fallbacks que no pasan por el modelo)
+const STRINGS = {
+  es: {
+    error: "Se me complicó un momentito 😅 ¿Me lo mandas de nuevo en una línea?",
+    blank: "Se me quedó el mensaje en blanco 😅 ¿Me lo repites en una línea?",
+    confirm: "¿Me confirmas tu mensaje otra vez, porfa? 😊",
+    signal_lost: "Se me fue la señal un momentito 😅 ¿Me repites eso en una línea, porfa?",
+    repeat: "¿Me repites eso en una línea, porfa? 😊",
+    ack: "¡Listo! Ya quedó registrado 🙌 En breve te escribe un representante.",
+    audio_too_large: "Esa nota de voz es muy larga 😅 ¿Me lo resumes en texto o en un audio más corto?",
+    file_too_large: "Ese archivo es muy pesado 😅 ¿Me mandas una foto o captura más liviana?",
+    unsupported: "Por ahora puedo leer texto, notas de voz, imágenes y PDF 😅 ¿Me lo escribes en una línea?",
+    audio_failed: "No pude escuchar bien la nota de voz 😅 ¿Me lo puedes mandar en texto o reenviar el audio más claro?",
+    file_failed: "No pude abrir bien el archivo 😅 ¿Me lo reenvías o me lo escribes en una línea?",
+    examples: "Ejemplos",
+    got_it: "¡Perfecto! 🙌",
+    handoff: "¡Claro! Ya le aviso a una persona del equipo para que te escriba por aquí 🙌",
+    paused: "Ya le avisé al equipo 🙌 En breve te escribe una persona por aquí.",
+    slots_offer: "Si quieres, agendamos una llamada con el representante 📞 Tengo libres:",
+    slot_taken: "Uy, ese horario se acaba de ocupar 😅 ¿Te sirve alguno de estos?",
+    booked: "📅 Agrégala a tu calendario:",
+    call_title: "Llamada con Zia Lab",
+    call_details: "Llamada con un representante de Zia Lab para presentarte la propuesta.",
+  },
+  en: {
+    error: "Something went wrong on my side 😅 Could you send that again in one line?",
+    blank: "Your message came through empty 😅 Could you send it again in one line?",
+    confirm: "Could you send your message once more, please? 😊",
+    signal_lost: "I lost the connection for a second 😅 Could you repeat that in one line, please?",
+    repeat: "Could you repeat that in one line, please? 😊",
+    ack: "All set! It's on record 🙌 A representative will reach out shortly.",
+    audio_too_large: "That voice note is too long 😅 Could you sum it up in text or a shorter audio?",
+    file_too_large: "That file is too heavy 😅 Could you send a lighter photo or screenshot?",
+    unsupported: "For now I can read text, voice notes, images and PDFs 😅 Could you type it in one line?",
+    audio_failed: "I couldn't hear the voice note clearly 😅 Could you send it as text or record it again?",
+    file_failed: "I couldn't open the file 😅 Could you resend it or type it in one line?",
+    examples: "Examples",
+    got_it: "Great! 🙌",
+    handoff: "Sure! I'm letting someone from the team know so they can message you here 🙌",
+    paused: "I've already let the team know 🙌 Someone will message you here shortly.",
+    slots_offer: "If you'd like, we can schedule a call with the representative 📞 These times are open:",
+    slot_taken: "Oops, that time was just taken 😅 Does one of these work for you?",
+    booked: "📅 Add it to your calendar:",
+    call_title: "Call with Zia Lab",
+    call_details: "Call with a Zia Lab representative to present your proposal.",
+  },
+  pt: {
+    error: "Tive um probleminha aqui 😅 Pode me mandar de novo em uma linha?",
+    blank: "Sua mensagem chegou em branco 😅 Pode repetir em uma linha?",
+    confirm: "Pode me confirmar sua mensagem de novo, por favor? 😊",
+    signal_lost: "Perdi o sinal por um momento 😅 Pode repetir isso em uma linha, por favor?",
+    repeat: "Pode repetir isso em uma linha, por favor? 😊",
+    ack: "Pronto! Já ficou registrado 🙌 Em breve um representante fala com você.",
+    audio_too_large: "Esse áudio é muito longo 😅 Pode resumir em texto ou num áudio mais curto?",
+    file_too_large: "Esse arquivo é muito pesado 😅 Pode mandar uma foto ou print mais leve?",
+    unsupported: "Por enquanto consigo ler texto, áudios, imagens e PDF 😅 Pode escrever em uma linha?",
+    audio_failed: "Não consegui ouvir bem o áudio 😅 Pode mandar em texto ou gravar de novo?",
+    file_failed: "Não consegui abrir o arquivo 😅 Pode reenviar ou escrever em uma linha?",
+    examples: "Exemplos",
+    got_it: "Perfeito! 🙌",
+    handoff: "Claro! Já vou avisar uma pessoa da equipe para te escrever por aqui 🙌",
+    paused: "Já avisei a equipe 🙌 Em breve uma pessoa te escreve por aqui.",
+    slots_offer: "Se quiser, podemos agendar uma ligação com o representante 📞 Tenho livres:",
+    slot_taken: "Ops, esse horário acabou de ser ocupado 😅 Algum destes serve para você?",
+    booked: "📅 Adicione ao seu calendário:",
+    call_title: "Ligação com a Zia Lab",
+    call_details: "Ligação com um representante da Zia Lab para apresentar a proposta.",
+  },
+};
+
+function t(lang, key) {
+  return STRINGS[lang]?.[key] || STRINGS[DEFAULT_LANG][key] || "";
+}
+
+// "en-US", "pt_BR", "english" (Whisper verbose_json), "Português" -> "en" | "pt" | "es" | ""
+const LANG_ALIASES = {
+  spanish: "es",
+  español: "es",
+  espanol: "es",
+  english: "en",
+  inglés: "en",
+  portuguese: "pt",
+  português: "pt",
+  portugues: "pt",
+};
+
+function normalizeLang(x) {
+  const s = safeText(x).toLowerCase();
+  if (!s) return "";
+  if (LANG_ALIASES[s]) return LANG_ALIASES[s];
+  const code = s.split(/[-_]/)[0];
+  return LANGS.includes(code) ? code : "";
+}
+
+// palabras frecuentes que distinguen cada idioma (sin las compartidas es/pt: de, que, para, por, como...)
+const STOPWORDS = {
+  es: [
+    "el", "la", "los", "las", "y", "un", "una", "es", "mi", "tengo", "tenemos", "quiero", "hola", "gracias",
+    "negocio", "citas", "semana", "cuántas", "cuantas", "qué", "sí", "pero", "muy", "también", "estoy", "soy",
+    "somos", "nosotros", "usted", "ustedes", "bueno", "buenas", "días", "tardes", "necesito", "ayuda", "tienda",
+  ],
+  en: [
+    "the", "and", "is", "are", "my", "i", "i'm", "you", "we", "have", "to", "of", "for", "with", "business",
+    "hello", "hi", "thanks", "thank", "want", "would", "like", "appointments", "week", "what", "how", "yes",
+    "do", "our", "it", "this", "that", "need", "help", "store", "shop", "good", "morning", "please",
+  ],
+  pt: [
+    "os", "e", "em", "um", "uma", "é", "meu", "minha", "tenho", "temos", "quero", "olá", "oi", "obrigado",
+    "obrigada", "negócio", "agendamentos", "semana", "não", "sim", "você", "vocês", "mas", "muito", "também",
+    "estou", "sou", "somos", "nós", "bom", "boa", "dia", "tarde", "preciso", "ajuda", "loja", "está", "isso",
+  ],
+};
+
+// letras que solo aparecen en uno de los dos (ñ ¿ ¡ vs ã õ ç)
+const CHAR_HINTS = { es: /[ñ¿¡]/, pt: /[ãõç]/ };
+
+// ✅ heurística barata (sin llamada al modelo): "" si no hay señal clara (ej. "ok", "30", "@mitienda")
+function detectLanguage(text) {
+  const s = safeText(text).toLowerCase();
+  if (!s) return "";
+
+  const words = s.match(/[\p{L}']+/gu) || [];
+  const score = Object.fromEntries(LANGS.map((l) => [l, 0]));
+  for (const w of words) {
+    for (const l of LANGS) if (STOPWORDS[l].includes(w)) score[l] += 1;
+  }
+  for (const [l, re] of Object.entries(CHAR_HINTS)) if (re.test(s)) score[l] += 2;
+
+  const [best, second] = Object.entries(score).sort((a, b) => b[1] - a[1]);
+  return best[1] >= 2 && best[1] - second[1] >= 2 ? best[0] : "";
+}
+
+// flujo en otro idioma: flow.i18n[lang] = { persona?, objective?, fields: { key: { question, label, examples } },
+// closing: { message }, ack_reply } encima del flujo base; lo que no esté traducido lo traduce el modelo
+function localizeFlow(flow, lang) {
+  const base = normalizeLang(flow.lang) || DEFAULT_LANG;
+  if (!lang || lang === base) return flow;
+
+  const o = flow.i18n?.[lang] || {};
+  return {
+    ...flow,
+    persona: o.persona || flow.persona,
+    objective: o.objective || flow.objective,
+    fields: flow.fields.map((f) => ({ ...f, ...(o.fields?.[f.key] || {}) })),
+    closing: { ...flow.closing, ...(o.closing || {}) },
+    ack_reply: o.ack_reply || "",
+  };
+}
+
+module.exports = { LANGS, DEFAULT_LANG, LANG_NAMES, t, normalizeLang, detectLanguage, localizeFlow };
@@ -0,0 +1,191 @@
+const fs = require("fs");
+const path = require("path");
+const { safeText } = require("./helpers");
+
+// --- Base de conocimiento (servicios, FAQs, casos) ---
+// <dir>/*.md y *.json valen para todos los tenants; <dir>/<tenant.id>/ agrega los de ese tenant.
+//   .md: un fragmento por título (#, ##, ###)
+//   .json: [{ id?, title | q, text | a }] (o { items: [...] })
+// Búsqueda por palabras clave (BM25), sin llamadas al modelo; el motor inyecta los mejores
+// fragmentos y el modelo solo puede citar esos.
+
+const MAX_CHUNK = 1200; // caracteres por fragmento (los largos se parten por párrafos)
+
+// palabras que no ayudan a buscar (es/en/pt)
+const STOPWORDS = new Set(
+  [
+    "que", "para", "por", "con", "los", "las", "del", "una", "unos", "unas", "como", "mas", "pero", "sus", "este",
+    "esta", "esto", "ese", "esa", "son", "hay", "tiene", "tienen", "puedo", "pueden", "quiero", "cual", "cuales",
+    "cuanto", "cuanta", "cuantos", "cuantas", "donde", "cuando", "ustedes", "usted", "tengo", "hola", "gracias",
+    "the", "and", "for", "with", "you", "your", "are", "can", "what", "how", "much", "does", "have", "this", "that",
+    "from", "about", "voce", "voces", "nos", "sao", "uma", "mais", "qual", "quanto", "quanta", "tem", "isso",
+  ]
+);
+
+// formas de preguntar lo mismo -> palabra que usan los documentos
+const SYNONYMS = {
+  cuesta: "precio", cuestan: "precio", costo: "precio", costos: "precio", cobran: "precio", tarifa: "precio",
+  vale: "precio", valor: "precio", price: "precio", prices: "precio", pricing: "precio", cost: "precio",
+  custa: "precio", preco: "precio", precos: "precio", descuento: "promocion", discount: "promocion",
+  desconto: "promocion", oferta: "promocion",
+};
+
+function tokens(text) {
+  return safeText(text)
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .map((w) => SYNONYMS[w] || w)
+    .filter((w) => w.length >= 3 && !STOPWORDS.has(w))
+    .map(stem);
+}
+
+// raíz aproximada: sin plural y cortada a 6 letras ("automatizar"/"automatiza", "precios"/"precio")
+function stem(w) {
+  let s = w;
+  if (s.length > 5 && s.endsWith("es")) s = s.slice(0, -2);
+  else if (s.length > 4 && s.endsWith("s")) s = s.slice(0, -1);
+  return s.slice(0, 6);
+}
+
+function splitLong(text) {
+  if (text.length <= MAX_CHUNK) return [text];
+  const parts = [];
+  let cur = "";
+  for (const p of text.split(/\n\s*\n/)) {
+    if (cur && cur.length + p.length > MAX_CHUNK) {
+      parts.push(cur);
+      cur = "";
+    }
+    cur = cur ? `${cur}\n\n${p}` : p;
+  }
+  if (cur) parts.push(cur);
+  return parts.map((p) => p.slice(0, MAX_CHUNK));
+}
+
+function parseMarkdown(raw, source) {
+  const chunks = [];
+  let title = "";
+  let body = [];
+
+  const flush = () => {
+    const text = body.join("\n").trim();
+    if (text) splitLong(text).forEach((t) => chunks.push({ title, text: t }));
+    body = [];
+  };
+
+  for (const line of raw.split("\n")) {
+    const h = line.match(/^#{1,3}\s+(.*)$/);
+    if (h) {
+      flush();
+      title = safeText(h[1]);
+    } else {
+      body.push(line);
+    }
+  }
+  flush();
+  return chunks.map((c, i) => ({ id: `${source}#${i + 1}`, source, ...c }));
+}
+
+function parseJson(raw, source) {
+  const parsed = JSON.parse(raw);
+  const items = Array.isArray(parsed) ? parsed : parsed?.items;
+  if (!Array.isArray(items)) throw new Error(`[knowledge] ${source}: se espera un array o { items: [...] }`);
+  return items
+    .map((x, i) => ({
+      id: safeText(x?.id) ? `${source}#${safeText(x.id)}` : `${source}#${i + 1}`,
+      source,
+      title: safeText(x?.title || x?.q),
+      text: safeText(x?.text || x?.a),
+    }))
+    .filter((c) => c.text);
+}
+
+function readDocs(dir, prefix = "") {
+  if (!fs.existsSync(dir)) return [];
+  const chunks = [];
+  for (const name of fs.readdirSync(dir).sort()) {
+    const file = path.join(dir, name);
+    const source = `${prefix}${name}`;
+    if (name.endsWith(".md")) chunks.push(...parseMarkdown(fs.readFileSync(file, "utf8"), source));
+    else if (name.endsWith(".json")) chunks.push(...parseJson(fs.readFileSync(file, "utf8"), source));
+  }
+  return chunks;
+}
+
+// índice BM25 de una lista de fragmentos
+function buildIndex(chunks) {
+  const docs = chunks.map((c) => {
+    // el título pesa doble
+    const toks = [...tokens(c.title), ...tokens(c.title), ...tokens(c.text)];
+    const tf = new Map();
+    for (const t of toks) tf.set(t, (tf.get(t) || 0) + 1);
+    return { chunk: c, tf, len: toks.length };
+  });
+
+  const df = new Map();
+  for (const d of docs) for (const t of d.tf.keys()) df.set(t, (df.get(t) || 0) + 1);
+  const avgLen = docs.reduce((n, d) => n + d.len, 0) / (docs.length || 1);
+
+  return { docs, df, avgLen };
+}
+
+function bm25(index, query, { k = 3, minScore = 1 } = {}) {
+  const q = [...new Set(tokens(query))];
+  if (!q.length) return [];
+  const N = index.docs.length;
+  const k1 = 1.2;
+  const b = 0.75;
+
+  return index.docs
+    .map((d) => {
+      let score = 0;
+      for (const t of q) {
+        const f = d.tf.get(t);
+        if (!f) continue;
+        const n = index.df.get(t);
+        const idf = Math.log(1 + (N - n + 0.5) / (n + 0.5));
+        score += (idf * f * (k1 + 1)) / (f + k1 * (1 - b + (b * d.len) / index.avgLen));
+      }
+      return { ...d.chunk, score: Number(score.toFixed(3)) };
+    })
+    .filter((r) => r.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+}
+
+// fragmentos -> mensaje de sistema; el modelo cita con "fuentes": ["K1", ...]
+function buildKnowledgeMessage(snippets) {
+  return (
+    "BASE DE CONOCIMIENTO (fragmentos relacionados con el último mensaje)\n" +
+    snippets.map((s, i) => `[K${i + 1}] ${s.title ? `${s.title}: ` : ""}${s.text}`).join("\n\n") +
+    "\n\n- Si el usuario pregunta por servicios, precios, plazos o casos, responde SOLO con lo que digan estos fragmentos " +
+    "(o la información de la agencia de tus instrucciones); esto prevalece sobre \"no hables de precios\". " +
+    "Si no está aquí, di que el representante lo confirma. No inventes cifras ni datos.\n" +
+    '- Si usas alguno, agrega al JSON "fuentes": ["K1", ...] con los que usaste. Luego sigue con lo pendiente.'
+  );
+}
+
+// tenants: para cargar <dir>/<tenant.id>/; sin carpeta = base vacía (search devuelve [])
+function createKnowledgeBase({ dir, tenants }) {
+  const shared = readDocs(dir);
+  const indexes = new Map();
+
+  for (const t of tenants.values()) {
+    const own = readDocs(path.join(dir, t.id), `${t.id}/`);
+    indexes.set(t.id, buildIndex([...shared, ...own]));
+  }
+  const total = [...indexes.values()].reduce((n, i) => Math.max(n, i.docs.length), 0);
+  if (total) console.log("[knowledge] fragmentos:", [...indexes].map(([id, i]) => `${id}=${i.docs.length}`).join(", "));
+
+  // -> [{ id, source, title, text, score }] (mejor primero)
+  function search(tenant, query, opts) {
+    const index = indexes.get(tenant.id);
+    return index?.docs.length ? bm25(index, query, opts) : [];
+  }
+
+  return { search };
+}
+
+module.exports = { createKnowledgeBase, buildKnowledgeMessage, parseMarkdown, buildIndex, bm25 };
@@ -0,0 +1,125 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { safeText } = require("./helpers");
+
+const LEAD_STATUSES = ["new", "contacted", "won", "lost"];
+
+// "2024-05-01" como límite superior = hasta el final de ese día
+function parseDateBound(x, endOfDay = false) {
+  const s = safeText(x);
+  if (!s) return NaN;
+  const ts = Date.parse(s);
+  if (Number.isNaN(ts)) return NaN;
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(s) ? ts + 24 * 60 * 60 * 1000 - 1 : ts;
+}
+
+// --- Lead store (archivo JSON local) ---
+// Un solo proceso escribe el archivo; las escrituras van en cola para no pisarse.
+function createLeadStore({ file }) {
+  let leads = [];
+  let writing = Promise.resolve();
+
+  if (fs.existsSync(file)) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+      leads = Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      console.error("[leads] no pude leer", file, e?.message || e);
+      throw e;
+    }
+  } else {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  // ✅ una escritura fallida no traba las siguientes (la cadena se recupera) y el error llega a quien llamó
+  function persist() {
+    const snapshot = JSON.stringify(leads, null, 2);
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        const tmp = `${file}.tmp`;
+        await fs.promises.writeFile(tmp, snapshot);
+        await fs.promises.rename(tmp, file);
+      });
+    return writing.catch((e) => {
+      console.error("[leads] write FAILED:", e?.message || e);
+      throw e;
+    });
+  }
+
+  async function create({ tenant, flow, channel, contactId, fields, transcript, summary, usage }) {
+    const now = new Date().toISOString();
+    const lead = {
+      id: crypto.randomUUID(),
+      tenant,
+      flow,
+      channel: safeText(channel) || "manychat",
+      contact_id: safeText(contactId),
+      fields: { ...fields },
+      status: "new",
+      created_at: now,
+      updated_at: now,
+      transcript: Array.isArray(transcript) ? transcript : [],
+      summary: safeText(summary), // lo anterior a transcript (conversaciones largas)
+      usage: usage || null, // consumo de la conversación hasta calificar (lib/usage.js)
+      notification: { status: "pending", channel: "", at: "", error: "" },
+    };
+
+    leads.push(lead);
+    try {
+      await persist();
+    } catch (e) {
+      // no quedó en disco: fuera de memoria también (el motor lo vuelve a crear en el próximo turno)
+      leads = leads.filter((l) => l !== lead);
+      throw e;
+    }
+    return lead;
+  }
+
+  function get(id) {
+    return leads.find((l) => l.id === id) || null;
+  }
+
+  async function update(id, patch) {
+    const lead = get(id);
+    if (!lead) return null;
+    Object.assign(lead, patch, { updated_at: new Date().toISOString() });
+    await persist();
+    return lead;
+  }
+
+  async function setStatus(id, status) {
+    if (!LEAD_STATUSES.includes(status)) throw new Error(`status inválido: ${status}`);
+    return update(id, { status });
+  }
+
+  async function setNotification(id, notification) {
+    const lead = get(id);
+    if (!lead) return null;
+    return update(id, { notification: { ...lead.notification, ...notification, at: new Date().toISOString() } });
+  }
+
+  // filtros: tenant, status, sector (contiene), from/to (fecha de captura)
+  function list({ tenant, status, sector, from, to } = {}) {
+    const fromTs = parseDateBound(from);
+    const toTs = parseDateBound(to, true);
+    const sectorLow = safeText(sector).toLowerCase();
+
+    return leads
+      .filter((l) => {
+        if (tenant && l.tenant !== tenant) return false;
+        if (status && l.status !== status) return false;
+        if (sectorLow && !safeText(l.fields?.sector).toLowerCase().includes(sectorLow)) return false;
+        const ts = Date.parse(l.created_at);
+        if (!Number.isNaN(fromTs) && ts < fromTs) return false;
+        if (!Number.isNaN(toTs) && ts > toTs) return false;
+        return true;
+      })
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  return { create, get, update, setStatus, setNotification, list };
+}
+
+module.exports = { createLeadStore, parseDateBound, LEAD_STATUSES };
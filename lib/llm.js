@@ -0,0 +1,170 @@
+const fs = require("fs");
+const OpenAI = require("openai");
+const { AzureOpenAI } = require("openai");
+const { safeText } = require("./helpers");
+
+// --- Proveedores de modelo (OpenAI, Azure OpenAI, servidores compatibles, mock) ---
+// Todos exponen la misma interfaz:
+//   chat({ model, messages, temperature, max_tokens, json }, { timeout }) -> { content, usage, model }
+//   transcribe({ file: ruta, model, language?, response_format? }, { timeout }) -> { text, language? }
+// createLLM los combina con timeout por request y failover al proveedor secundario.
+
+// code: timeout | unavailable | unsupported | bad_request | not_configured; retryable = vale la pena probar el secundario
+function llmError(code, message, { provider = "", status = 0, retryable = false } = {}) {
+  const e = new Error(message);
+  e.code = code;
+  e.provider = provider;
+  e.status = status;
+  e.retryable = retryable;
+  e.llm = true;
+  return e;
+}
+
+// el proveedor no tiene ese endpoint o modelo (ej. Ollama sin /audio/transcriptions): otro puede tenerlo
+const UNSUPPORTED = /not (supported|implemented|found)|does not exist|unknown (model|endpoint|url)|model_not_found/i;
+
+// error del SDK / red -> llmError | null si no vino de la API (TypeError en un proveedor...: se relanza tal cual)
+function classify(err, provider) {
+  if (err?.llm) return err;
+  const status = Number(err?.status || 0);
+  const message = safeText(err?.message || err);
+
+  if (err instanceof OpenAI.APIConnectionTimeoutError) return llmError("timeout", message, { provider, retryable: true });
+  if (err instanceof OpenAI.APIConnectionError) return llmError("unavailable", message, { provider, retryable: true });
+  if (!status) return null;
+  if (status === 404 || status === 405 || status === 501 || (status === 400 && UNSUPPORTED.test(message))) {
+    return llmError("unsupported", message, { provider, status, retryable: true });
+  }
+  if (status === 429 || status === 408 || status >= 500) {
+    return llmError("unavailable", message, { provider, status, retryable: true });
+  }
+  return llmError("bad_request", message, { provider, status });
+}
+
+// cliente del SDK de OpenAI (sirve para OpenAI, Azure y servidores /v1 compatibles)
+// model: fuerza el modelo del proveedor (deployment de Azure, "llama3.1" en Ollama...); si no, el del tenant
+// jsonMode: false si el servidor no acepta response_format
+function sdkProvider(name, client, { model = "", jsonMode = true } = {}) {
+  return {
+    name,
+    async chat(params, { timeout }) {
+      const body = {
+        model: model || params.model,
+        messages: params.messages,
+        temperature: params.temperature,
+        max_tokens: params.max_tokens,
+      };
+      if (params.json && jsonMode) body.response_format = { type: "json_object" };
+
+      // sin reintentos del SDK: el failover lo decide createLLM
+      const completion = await client.chat.completions.create(body, { timeout, maxRetries: 0 });
+      return {
+        content: completion.choices?.[0]?.message?.content || "",
+        usage: completion.usage || null,
+        model: completion.model || body.model,
+      };
+    },
+    async transcribe({ file, ...params }, { timeout }) {
+      // stream nuevo en cada intento (el del proveedor que falló ya se consumió)
+      return client.audio.transcriptions.create(
+        { ...params, file: fs.createReadStream(file) },
+        { timeout, maxRetries: 0 }
+      );
+    },
+  };
+}
+
+function createOpenAIProvider({ apiKey, baseURL = "", model = "" }) {
+  if (!apiKey) return null;
+  return sdkProvider("openai", new OpenAI({ apiKey, baseURL: baseURL || undefined }), { model });
+}
+
+// Azure: el "modelo" es el deployment
+function createAzureProvider({ apiKey, endpoint, apiVersion = "2024-06-01", deployment }) {
+  if (!apiKey || !endpoint || !deployment) return null;
+  const client = new AzureOpenAI({ apiKey, endpoint, apiVersion, deployment });
+  return sdkProvider("azure", client, { model: deployment });
+}
+
+// Ollama (http://localhost:11434/v1), llama.cpp server, vLLM...: API /v1 de OpenAI sin key real
+function createCompatibleProvider({ baseURL, apiKey = "", model = "", jsonMode = true }) {
+  if (!baseURL) return null;
+  return sdkProvider("compatible", new OpenAI({ apiKey: apiKey || "local", baseURL }), { model, jsonMode });
+}
+
+// ✅ mock para pruebas: devuelve las respuestas en orden (la última se repite)
+// responses: [{ reply, state } | "texto crudo" | { error: "unavailable", delay_ms }]
+function createMockProvider({ responses = [], transcript = "" } = {}) {
+  const calls = [];
+  let i = 0;
+
+  return {
+    name: "mock",
+    calls,
+    async chat(params) {
+      calls.push(params);
+      const r = responses.length ? responses[Math.min(i++, responses.length - 1)] : { reply: "ok", state: {} };
+
+      if (r?.delay_ms) await new Promise((resolve) => setTimeout(resolve, r.delay_ms));
+      if (r?.error) throw llmError(r.error, `mock ${r.error}`, { provider: "mock", retryable: r.error !== "bad_request" });
+
+      const content = typeof r === "string" ? r : JSON.stringify(r);
+      return { content, usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }, model: params.model };
+    },
+    async transcribe() {
+      return { text: transcript, language: "" };
+    },
+  };
+}
+
+function withTimeout(promise, ms, provider) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(llmError("timeout", `${provider}: sin respuesta en ${ms} ms`, { provider, retryable: true })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// providers: { nombre: proveedor }; primary/fallback: nombres (el tenant puede cambiarlos con model.provider/model.fallback)
+function createLLM({ providers, primary, fallback = "", timeoutMs = 20000 }) {
+  const registry = Object.fromEntries(Object.entries(providers).filter(([, p]) => p));
+  if (!registry[primary]) throw new Error(`[llm] proveedor "${primary}" no configurado (hay: ${Object.keys(registry).join(", ") || "ninguno"})`);
+  if (fallback && !registry[fallback]) throw new Error(`[llm] proveedor de respaldo "${fallback}" no configurado`);
+
+  async function run(method, params, route = {}) {
+    const order = [...new Set([route.provider || primary, route.fallback ?? fallback].filter(Boolean))];
+    let lastErr = llmError("not_configured", `[llm] ningún proveedor para ${method}`);
+
+    for (const name of order) {
+      const provider = registry[name];
+      if (!provider?.[method]) continue;
+
+      try {
+        const out = await withTimeout(provider[method](params, { timeout: timeoutMs }), timeoutMs, name);
+        return { ...out, provider: name };
+      } catch (e) {
+        lastErr = classify(e, name);
+        if (!lastErr) throw e; // bug, no caída del proveedor: que no lo tape el secundario
+        console.error(`[llm] ${name} ${method} FAILED:`, lastErr.code, lastErr.status || "", lastErr.message);
+        if (!lastErr.retryable) break;
+      }
+    }
+    throw lastErr;
+  }
+
+  return {
+    providers: Object.keys(registry),
+    // route = tenant.model ({ provider?, fallback? })
+    chat: (params, route) => run("chat", params, route),
+    transcribe: (params, route) => run("transcribe", params, route),
+  };
+}
+
+module.exports = {
+  createLLM,
+  createOpenAIProvider,
+  createAzureProvider,
+  createCompatibleProvider,
+  createMockProvider,
+  llmError,
+};
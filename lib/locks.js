@@ -0,0 +1,101 @@
+const crypto = require("crypto");
+
+// ✅ soltar solo si el candado sigue siendo nuestro (pudo vencer y tomarlo otro proceso)
+const RELEASE_LUA = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("DEL", KEYS[1])
+end
+return 0
+`;
+
+// ✅ alargar el candado solo si sigue siendo nuestro (turno largo: modelo lento, failover, audio)
+const RENEW_LUA = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then
+  return redis.call("PEXPIRE", KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function lockError(message) {
+  const e = new Error(message);
+  e.code = "lock_timeout";
+  return e;
+}
+
+// --- Candado por contacto ---
+// Un turno = load memoria -> modelo -> save; dos mensajes seguidos del mismo contacto no deben
+// pisarse (el último en guardar ganaba y se perdían campos o se mandaba el cierre 2 veces).
+// En proceso: cola de promesas por contacto. Con Redis además SET NX PX (varias instancias).
+//   ttlMs: vence solo si el proceso muere con el candado tomado; mientras el turno corre se renueva cada ttlMs/3
+//   waitMs: espera máxima por el turno anterior -> error lock_timeout (el motor vuelve a encolar el mensaje)
+function createContactLocks({ redis, ttlMs = 30 * 1000, waitMs = 45 * 1000, pollMs = 100 }) {
+  const tails = new Map();
+
+  if (redis && !redis.ziaLockRelease) {
+    redis.defineCommand("ziaLockRelease", { numberOfKeys: 1, lua: RELEASE_LUA });
+  }
+  if (redis && !redis.ziaLockRenew) {
+    redis.defineCommand("ziaLockRenew", { numberOfKeys: 1, lua: RENEW_LUA });
+  }
+
+  async function acquireRedis(key) {
+    const token = crypto.randomUUID();
+    const deadline = Date.now() + waitMs;
+    while (!(await redis.set(key, token, "PX", ttlMs, "NX"))) {
+      if (Date.now() > deadline) throw lockError(`candado ocupado: ${key}`);
+      await sleep(pollMs);
+    }
+
+    const heartbeat = setInterval(() => {
+      redis
+        .ziaLockRenew(key, token, ttlMs)
+        .then((ok) => ok || console.error("[locks] lock LOST mid-turn:", key))
+        .catch((e) => console.error("[locks] renew FAILED:", key, e?.message || e));
+    }, Math.max(Math.floor(ttlMs / 3), pollMs));
+    heartbeat.unref?.();
+
+    return () => {
+      clearInterval(heartbeat);
+      return redis.ziaLockRelease(key, token).catch((e) => console.error("[locks] release FAILED:", key, e?.message || e));
+    };
+  }
+
+  // fn corre sola para ese contacto; los demás esperan su turno en orden de llegada
+  async function withLock(tenant, contactId, fn) {
+    const key = `${tenant.redis_prefix}:lock:${contactId}`;
+
+    const prev = tails.get(key) || Promise.resolve();
+    let done;
+    const mine = new Promise((resolve) => (done = resolve));
+    const tail = prev.then(() => mine);
+    tails.set(key, tail);
+
+    try {
+      let timer;
+      const waited = await Promise.race([
+        prev.then(() => true),
+        new Promise((resolve) => (timer = setTimeout(() => resolve(false), waitMs))),
+      ]);
+      clearTimeout(timer);
+      if (!waited) throw lockError(`turno anterior sin terminar: ${key}`);
+
+      const release = redis ? await acquireRedis(key) : null;
+      try {
+        return await fn();
+      } finally {
+        if (release) await release();
+      }
+    } finally {
+      done();
+      if (tails.get(key) === tail) tails.delete(key);
+    }
+  }
+
+  return { withLock };
+}
+
+module.exports = { createContactLocks };
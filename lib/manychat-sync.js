@@ -0,0 +1,104 @@
+const { safeText, splitList } = require("./helpers");
+const { postManyChat } = require("./manychat");
+
+// "sector:zia_sector, servicio:zia_servicio" | { sector: "zia_sector" } -> { sector: "zia_sector" }
+function parseFieldMap(x) {
+  if (x && typeof x === "object" && !Array.isArray(x)) {
+    return Object.fromEntries(
+      Object.entries(x)
+        .map(([k, v]) => [safeText(k), safeText(v)])
+        .filter(([k, v]) => k && v)
+    );
+  }
+
+  const map = {};
+  for (const pair of splitList(x)) {
+    const [key, name] = pair.split(":").map(safeText);
+    if (key && name) map[key] = name;
+  }
+  return map;
+}
+
+// qué escribir en ManyChat este turno: campos que cambiaron (+ tags si el lead quedó calificado)
+// admin.manychat_fields: mapa campo del flujo -> custom field de ManyChat
+// admin.manychat_lead_tags: tags a aplicar al calificar (ej. "lead_calificado")
+function planSync(admin, before, after, { qualified = false } = {}) {
+  if (!admin.manychat_api_key) return null;
+
+  const fields = {};
+  for (const [key, fieldName] of Object.entries(parseFieldMap(admin.manychat_fields))) {
+    const value = safeText(after[key]);
+    if (value && value !== safeText(before[key])) fields[fieldName] = value;
+  }
+
+  const tags = qualified ? splitList(admin.manychat_lead_tags) : [];
+  if (!Object.keys(fields).length && !tags.length) return null;
+  return { fields, tags };
+}
+
+// 4xx (salvo 408/429) no se arregla reintentando: campo o tag inexistente, subscriber inválido...
+function manyChatError(pathname, resp) {
+  const detail = typeof resp.data === "string" ? resp.data.slice(0, 120) : JSON.stringify(resp.data || {});
+  const e = new Error(`ManyChat ${pathname} -> ${resp.status} ${detail}`);
+  e.permanent = resp.status >= 400 && resp.status < 500 && ![408, 429].includes(resp.status);
+  return e;
+}
+
+// --- Write-back a ManyChat (custom fields + tags del subscriber) ---
+// Entregas vía la cola "manychat" con reintentos; job.data.done evita repetir lo ya escrito.
+function createManyChatSync({ queue, tenants }) {
+  async function enqueue(tenant, subscriberId, plan) {
+    // los subscriber_id de ManyChat son numéricos
+    const sid = safeText(subscriberId);
+    if (!plan || !/^\d+$/.test(sid)) return null;
+    return queue.enqueue("manychat.sync", {
+      tenant_id: tenant.id,
+      subscriber_id: sid,
+      fields: plan.fields,
+      tags: plan.tags,
+    });
+  }
+
+  async function call(admin, pathname, payload) {
+    const resp = await postManyChat(admin, pathname, payload);
+    if (resp.status < 200 || resp.status >= 300 || resp.data?.status === "error") throw manyChatError(pathname, resp);
+  }
+
+  async function deliver(data) {
+    const { tenant_id, subscriber_id, fields = {}, tags = [] } = data;
+    const tenant = tenants.get(tenant_id);
+    if (!tenant?.admin?.manychat_api_key) {
+      const e = new Error(`tenant ${tenant_id} sin ManyChat configurado`);
+      e.permanent = true;
+      throw e;
+    }
+
+    const admin = tenant.admin;
+    const sid = Number(subscriber_id);
+    data.done = data.done || [];
+
+    for (const [field_name, field_value] of Object.entries(fields)) {
+      const key = `field:${field_name}`;
+      if (data.done.includes(key)) continue;
+      await call(admin, "/fb/subscriber/setCustomFieldByName", { subscriber_id: sid, field_name, field_value });
+      data.done.push(key);
+    }
+
+    for (const tag_name of tags) {
+      const key = `tag:${tag_name}`;
+      if (data.done.includes(key)) continue;
+      await call(admin, "/fb/subscriber/addTagByName", { subscriber_id: sid, tag_name });
+      data.done.push(key);
+    }
+
+    console.log(`[manychat_sync] ${tenant_id}/${subscriber_id} ✅`, data.done.join(", "));
+  }
+
+  function start() {
+    queue.start({ "manychat.sync": deliver });
+  }
+
+  return { enqueue, start };
+}
+
+module.exports = { createManyChatSync, planSync, parseFieldMap };
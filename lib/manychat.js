@@ -0,0 +1,248 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { safeText, normalizeBaseUrl } = require("./helpers");
+
+const DEFAULT_MANYCHAT_API_BASE = "https://api.manychat.com";
+
+// rutas de envío conocidas (ManyChat a veces cambia rutas por canal)
+const SEND_PATHS = [
+  // WhatsApp (algunas cuentas lo tienen)
+  "/whatsapp/sending/sendText",
+  "/whatsapp/sending/sendContent",
+  // Variantes "wa"
+  "/wa/sending/sendText",
+  "/wa/sending/sendContent",
+  // "fb" (muy común en la API pública; muchas veces funciona cross-channel con subscriber_id)
+  "/fb/sending/sendContent",
+  "/fb/sending/sendText",
+  // Algunas cuentas usan /sending directamente
+  "/sending/sendContent",
+  "/sending/sendText",
+];
+
+const ENDPOINT_TTL_SECONDS = 60 * 60 * 24 * 30;
+
+// --- Cache de endpoint por API key (Redis; memoria si no hay Redis) ---
+let redis = null;
+const memCache = new Map();
+
+function configureManyChat(opts = {}) {
+  redis = opts.redis || null;
+}
+
+// nunca guardamos la API key en claro
+function endpointCacheKey(apiKey) {
+  const h = crypto.createHash("sha256").update(String(apiKey)).digest("hex").slice(0, 16);
+  return `zia:manychat:endpoint:${h}`;
+}
+
+async function getCachedPath(apiKey) {
+  const key = endpointCacheKey(apiKey);
+  if (redis) return (await redis.get(key)) || "";
+  return memCache.get(key) || "";
+}
+
+async function setCachedPath(apiKey, pathname) {
+  const key = endpointCacheKey(apiKey);
+  if (redis) {
+    if (pathname) await redis.set(key, pathname, "EX", ENDPOINT_TTL_SECONDS);
+    else await redis.del(key);
+    return;
+  }
+  if (pathname) memCache.set(key, pathname);
+  else memCache.delete(key);
+}
+
+// (admin = config del tenant: manychat_api_key, manychat_api_base)
+async function postManyChat(admin, pathname, payload) {
+  const base = normalizeBaseUrl(admin.manychat_api_base || DEFAULT_MANYCHAT_API_BASE);
+  const url = `${base}${pathname}`;
+
+  return axios.post(url, payload, {
+    headers: {
+      Authorization: `Bearer ${admin.manychat_api_key}`,
+      "Content-Type": "application/json",
+      Accept: "application/json",
+    },
+    timeout: 20000,
+    validateStatus: () => true, // manejamos nosotros
+  });
+}
+
+async function getManyChat(admin, pathname) {
+  const base = normalizeBaseUrl(admin.manychat_api_base || DEFAULT_MANYCHAT_API_BASE);
+
+  return axios.get(`${base}${pathname}`, {
+    headers: { Authorization: `Bearer ${admin.manychat_api_key}`, Accept: "application/json" },
+    timeout: 20000,
+    validateStatus: () => true,
+  });
+}
+
+// "/fb/sending/sendText" -> "/fb/sending"
+function sendingPrefix(pathname) {
+  return safeText(pathname).replace(/\/send(Text|Content)$/, "");
+}
+
+// --- Contenido enriquecido (ManyChat dynamic content v2) ---
+// message: { text, buttons: [{ caption, url } | { caption, flow_ns }], tags: [], fields: { nombre: valor }, flow_ns }
+function buildContent(message, pathname) {
+  const buttons = (message.buttons || []).map((b) =>
+    b.flow_ns
+      ? { type: "flow", caption: safeText(b.caption), target: safeText(b.flow_ns) }
+      : { type: "url", caption: safeText(b.caption), url: safeText(b.url) }
+  );
+
+  const actions = [
+    ...(message.tags || []).map((t) => ({ action: "add_tag", tag_name: safeText(t) })),
+    ...Object.entries(message.fields || {}).map(([field_name, value]) => ({
+      action: "set_field_value",
+      field_name,
+      value,
+    })),
+  ];
+
+  const content = {
+    messages: [{ type: "text", text: safeText(message.text), ...(buttons.length ? { buttons } : {}) }],
+    actions,
+    quick_replies: [],
+  };
+
+  // WhatsApp exige type en el contenido
+  if (/^\/(whatsapp|wa)\//.test(pathname)) content.type = "whatsapp";
+
+  return { version: "v2", content };
+}
+
+function isRich(message) {
+  return !!(message.buttons?.length || message.tags?.length || Object.keys(message.fields || {}).length);
+}
+
+function buildSendPayload(pathname, subscriberId, message) {
+  const sid = Number(subscriberId);
+  if (pathname.endsWith("/sendContent") && isRich(message)) {
+    return { subscriber_id: sid, data: buildContent(message, pathname) };
+  }
+  return { subscriber_id: sid, message: safeText(message.text) };
+}
+
+function describeResp(resp) {
+  return typeof resp.data === "string" ? resp.data.slice(0, 120) : resp.data;
+}
+
+// ✅ envía usando la ruta cacheada; si no hay (o dejó de servir) prueba las conocidas y cachea la primera que funcione
+async function sendManyChat(admin, subscriberId, message) {
+  const msg = typeof message === "string" ? { text: message } : message || {};
+  const cached = await getCachedPath(admin.manychat_api_key);
+
+  // contenido enriquecido solo viaja por sendContent
+  const candidates = isRich(msg) ? SEND_PATHS.filter((p) => p.endsWith("/sendContent")) : SEND_PATHS;
+  const first = isRich(msg) && cached ? `${sendingPrefix(cached)}/sendContent` : cached;
+  const tries = first ? [first, ...candidates.filter((p) => p !== first)] : candidates;
+
+  let lastErr = null;
+  let usedPath = "";
+
+  for (const p of tries) {
+    try {
+      if (p !== cached) console.log(`[manychat] try ${p}`);
+      const resp = await postManyChat(admin, p, buildSendPayload(p, subscriberId, msg));
+
+      if (resp.status >= 200 && resp.status < 300) {
+        usedPath = p;
+        break;
+      }
+
+      // ManyChat a veces devuelve JSON error; a veces HTML 404
+      console.log(`[manychat] ${p} -> ${resp.status}`, describeResp(resp));
+      lastErr = new Error(`ManyChat ${p} -> ${resp.status}`);
+      lastErr.status = resp.status;
+      if (p === cached) await setCachedPath(admin.manychat_api_key, "");
+    } catch (e) {
+      lastErr = e;
+      console.log("[manychat] fail", p, e?.response?.status || "", e?.message || e);
+    }
+  }
+
+  if (!usedPath) {
+    if (lastErr) throw lastErr;
+    throw new Error("ManyChat send failed");
+  }
+
+  // el prefijo (/fb/sending, /whatsapp/sending...) es lo que importa; un envío rico no pisa la ruta de texto
+  const shouldCache = !isRich(msg) || !cached || sendingPrefix(usedPath) !== sendingPrefix(cached);
+  if (usedPath !== cached && shouldCache) await setCachedPath(admin.manychat_api_key, usedPath);
+  console.log("[manychat] sent ✅", usedPath);
+
+  // disparar un flow de ManyChat después del mensaje (opcional)
+  if (msg.flow_ns) {
+    const flowPath = `${sendingPrefix(usedPath)}/sendFlow`;
+    const resp = await postManyChat(admin, flowPath, { subscriber_id: Number(subscriberId), flow_ns: msg.flow_ns });
+    if (resp.status < 200 || resp.status >= 300) {
+      console.log(`[manychat] ${flowPath} -> ${resp.status}`, describeResp(resp));
+      throw new Error(`ManyChat ${flowPath} -> ${resp.status}`);
+    }
+  }
+
+  return usedPath;
+}
+
+function sendManyChatText(admin, subscriberId, text) {
+  return sendManyChat(admin, subscriberId, { text });
+}
+
+// --- Diagnóstico ---
+// prueba TODAS las rutas (o hasta la primera que funcione) y deja cacheada la ganadora
+async function probeManyChat(admin, subscriberId, { text, all = false } = {}) {
+  const started = Date.now();
+  const cachedBefore = await getCachedPath(admin.manychat_api_key);
+
+  let pageInfo = null;
+  try {
+    const resp = await getManyChat(admin, "/fb/page/getInfo");
+    pageInfo = { status: resp.status, data: resp.status < 300 ? resp.data?.data || resp.data : describeResp(resp) };
+  } catch (e) {
+    pageInfo = { status: 0, error: safeText(e?.message || e) };
+  }
+
+  const msg = safeText(text) || "🔧 Prueba de conexión Zia Bot (ManyChat)";
+  const results = [];
+  let winner = "";
+
+  for (const p of SEND_PATHS) {
+    const t0 = Date.now();
+    try {
+      const resp = await postManyChat(admin, p, buildSendPayload(p, subscriberId, { text: msg }));
+      const ok = resp.status >= 200 && resp.status < 300;
+      results.push({ path: p, status: resp.status, ok, ms: Date.now() - t0, detail: ok ? undefined : describeResp(resp) });
+      if (ok && !winner) winner = p;
+    } catch (e) {
+      results.push({ path: p, status: e?.response?.status || 0, ok: false, ms: Date.now() - t0, detail: safeText(e?.message || e) });
+    }
+    if (winner && !all) break;
+  }
+
+  if (winner) await setCachedPath(admin.manychat_api_key, winner);
+
+  return {
+    subscriber_id: safeText(subscriberId),
+    cached_before: cachedBefore,
+    cached_after: winner || cachedBefore,
+    page: pageInfo,
+    results,
+    ms: Date.now() - started,
+  };
+}
+
+module.exports = {
+  DEFAULT_MANYCHAT_API_BASE,
+  SEND_PATHS,
+  configureManyChat,
+  getCachedPath,
+  postManyChat,
+  getManyChat,
+  buildContent,
+  sendManyChat,
+  sendManyChatText,
+  probeManyChat,
+};
@@ -0,0 +1,205 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const axios = require("axios");
+const { safeText } = require("./helpers");
+const { getMediaUrl, authHeaders } = require("./whatsapp");
+const { getTelegramFileUrl } = require("./telegram");
+
+const MB = 1024 * 1024;
+// límites por clase (audio = límite de WhatsApp; imágenes/PDF se mandan en base64 al modelo)
+const DEFAULT_LIMITS = { audio: 16 * MB, image: 5 * MB, document: 10 * MB };
+
+// tipos aceptados por clase de medio: content-type -> extensión
+const MEDIA_KINDS = {
+  audio: {
+    "audio/ogg": "ogg",
+    "audio/opus": "ogg",
+    "application/ogg": "ogg",
+    "audio/mpeg": "mp3",
+    "audio/mp3": "mp3",
+    "audio/mp4": "m4a",
+    "audio/x-m4a": "m4a",
+    "audio/aac": "aac",
+    "audio/wav": "wav",
+    "audio/x-wav": "wav",
+    "audio/webm": "webm",
+    "audio/amr": "amr",
+  },
+  image: {
+    "image/jpeg": "jpg",
+    "image/jpg": "jpg",
+    "image/png": "png",
+    "image/webp": "webp",
+    "image/gif": "gif",
+  },
+  document: {
+    "application/pdf": "pdf",
+  },
+};
+
+// por extensión (servidores que mandan application/octet-stream, ej. archivos de Telegram)
+const EXT_ALIASES = { oga: "ogg", opus: "ogg", jpeg: "jpg" };
+
+// code: not_found | unsupported_type | too_large | download_failed
+const MEDIA_ERRORS = ["not_found", "unsupported_type", "too_large", "download_failed"];
+
+function mediaError(code, message, kind = "") {
+  const e = new Error(message);
+  e.code = code;
+  e.kind = kind;
+  e.media = true;
+  return e;
+}
+
+function baseType(ct) {
+  return safeText(ct).toLowerCase().split(";")[0].trim();
+}
+
+function extFromUrl(url) {
+  try {
+    const m = new URL(url).pathname.toLowerCase().match(/\.([a-z0-9]{2,5})$/);
+    return m ? EXT_ALIASES[m[1]] || m[1] : "";
+  } catch {
+    return "";
+  }
+}
+
+// content-type (o extensión si viene genérico) -> { kind, ext }, null si no es de las clases pedidas
+function detectMedia(kinds, contentType, url) {
+  const ct = baseType(contentType);
+  const generic = !ct || ct === "application/octet-stream" || ct === "binary/octet-stream";
+  const ext = generic ? extFromUrl(url) : "";
+
+  for (const kind of kinds) {
+    const types = MEDIA_KINDS[kind] || {};
+    if (types[ct]) return { kind, ext: types[ct] };
+    if (ext && Object.values(types).includes(ext)) return { kind, ext };
+  }
+  return null;
+}
+
+function mimeFor(kind, ext) {
+  return Object.keys(MEDIA_KINDS[kind]).find((ct) => MEDIA_KINDS[kind][ct] === ext) || "application/octet-stream";
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+// credenciales según el host: media de Meta con el token de Cloud API, media de ManyChat con su API key
+function hostAuth(admin, url) {
+  const host = hostOf(url);
+  if (admin.wa_token && (host === "lookaside.fbsbx.com" || host.endsWith(".whatsapp.net"))) return authHeaders(admin);
+  if (admin.manychat_api_key && (host === "manychat.com" || host.endsWith(".manychat.com"))) {
+    return { Authorization: `Bearer ${admin.manychat_api_key}` };
+  }
+  return {};
+}
+
+// --- Resolver de medios ---
+// ref: { source: "url", url } | { source: "whatsapp", id } | { source: "telegram", id }
+//      (+ kind?: clase esperada, kinds?: clases aceptadas, guessed?: URL adivinada que puede no ser media)
+// -> { url, headers }
+async function resolveMedia(admin, ref) {
+  if (ref.source === "whatsapp") {
+    const url = await getMediaUrl(admin, ref.id);
+    if (!url) throw mediaError("not_found", `media ${ref.id} no encontrado en Graph`);
+    return { url, headers: authHeaders(admin) };
+  }
+
+  if (ref.source === "telegram") {
+    const url = await getTelegramFileUrl(admin, ref.id);
+    if (!url) throw mediaError("not_found", `archivo ${ref.id} no encontrado en Telegram`);
+    return { url, headers: {} };
+  }
+
+  const url = safeText(ref.url);
+  if (!/^https?:\/\//i.test(url)) throw mediaError("not_found", "url de media inválida");
+  return { url, headers: hostAuth(admin, url) };
+}
+
+// ✅ descarga en streaming a un archivo temporal validando tipo y tamaño
+// kinds: clases aceptadas (ref.kinds las restringe más); limits: bytes por clase
+// -> { path, kind, contentType, ext, bytes }; el caller borra el archivo (o usa withMedia)
+async function downloadMedia(admin, ref, { kinds = Object.keys(MEDIA_KINDS), limits = {} } = {}) {
+  const allowed = ref.kinds ? kinds.filter((k) => ref.kinds.includes(k)) : kinds;
+  const { url, headers } = await resolveMedia(admin, ref);
+
+  let resp;
+  try {
+    resp = await axios.get(url, {
+      responseType: "stream",
+      maxRedirects: 5,
+      timeout: 20000,
+      headers: { "User-Agent": "Mozilla/5.0 (compatible; zia-bot)", ...headers },
+      validateStatus: () => true,
+    });
+  } catch (e) {
+    throw mediaError("download_failed", safeText(e?.message || e));
+  }
+
+  const stream = resp.data;
+  const contentType = safeText(resp.headers?.["content-type"]);
+
+  if (resp.status < 200 || resp.status >= 300) {
+    stream.destroy();
+    throw mediaError(resp.status === 404 ? "not_found" : "download_failed", `media -> ${resp.status}`);
+  }
+
+  const detected = detectMedia(allowed, contentType, url);
+  if (!detected) {
+    stream.destroy();
+    throw mediaError("unsupported_type", `"${contentType || "?"}" no es ${allowed.join("/")}`);
+  }
+
+  const { kind, ext } = detected;
+  const maxBytes = limits[kind] || DEFAULT_LIMITS[kind];
+
+  const declared = Number(resp.headers?.["content-length"] || 0);
+  if (declared > maxBytes) {
+    stream.destroy();
+    throw mediaError("too_large", `${kind} ${declared} bytes > ${maxBytes}`, kind);
+  }
+
+  let bytes = 0;
+  const limit = new Transform({
+    transform(chunk, _enc, cb) {
+      bytes += chunk.length;
+      if (bytes > maxBytes) return cb(mediaError("too_large", `${kind} > ${maxBytes} bytes`, kind));
+      cb(null, chunk);
+    },
+  });
+
+  const tmpPath = path.join(os.tmpdir(), `zia-${kind}-${crypto.randomUUID()}.${ext}`);
+  try {
+    await pipeline(stream, limit, fs.createWriteStream(tmpPath));
+  } catch (e) {
+    fs.unlink(tmpPath, () => {});
+    if (e?.media) throw e;
+    throw mediaError("download_failed", safeText(e?.message || e));
+  }
+
+  // octet-stream -> el tipo real según la extensión (se usa al mandar la imagen al modelo)
+  const ct = MEDIA_KINDS[kind][baseType(contentType)] ? baseType(contentType) : mimeFor(kind, ext);
+  return { path: tmpPath, kind, contentType: ct, ext, bytes };
+}
+
+// descarga, ejecuta fn(file) y borra el temporal pase lo que pase
+async function withMedia(admin, ref, opts, fn) {
+  const file = await downloadMedia(admin, ref, opts);
+  try {
+    return await fn(file);
+  } finally {
+    fs.unlink(file.path, () => {});
+  }
+}
+
+module.exports = { MEDIA_KINDS, MEDIA_ERRORS, DEFAULT_LIMITS, resolveMedia, downloadMedia, withMedia, detectMedia };
@@ -0,0 +1,37 @@
+const nodemailer = require("nodemailer");
+const { splitList } = require("../helpers");
+
+// SMTP: admin.smtp_host/smtp_port/smtp_secure/smtp_user/smtp_pass/smtp_from + admin.admin_emails
+const transports = new Map();
+
+function getTransport(admin) {
+  const key = `${admin.smtp_host}:${admin.smtp_port}:${admin.smtp_user}`;
+  if (!transports.has(key)) {
+    transports.set(
+      key,
+      nodemailer.createTransport({
+        host: admin.smtp_host,
+        port: Number(admin.smtp_port || 587),
+        secure: String(admin.smtp_secure) === "true" || Number(admin.smtp_port) === 465,
+        auth: admin.smtp_user ? { user: admin.smtp_user, pass: admin.smtp_pass } : undefined,
+      })
+    );
+  }
+  return transports.get(key);
+}
+
+async function sendViaEmail(admin, to, { subject, text }) {
+  await getTransport(admin).sendMail({
+    from: admin.smtp_from || admin.smtp_user,
+    to,
+    subject,
+    text,
+  });
+  return true;
+}
+
+module.exports = {
+  name: "email",
+  targets: (admin) => (admin.smtp_host ? splitList(admin.admin_emails) : []),
+  send: (admin, target, content) => sendViaEmail(admin, target, content),
+};
@@ -0,0 +1,80 @@
+const { safeText, splitList } = require("../helpers");
+const { renderTemplate } = require("./render");
+
+// Cada canal: { name, targets(admin) -> [destinos], send(admin, destino, { text, subject, vars }) }
+const CHANNELS = Object.fromEntries(
+  [
+    require("./manychat"),
+    require("./meta"),
+    require("./email"),
+    require("./telegram"),
+    require("./slack"),
+    require("./webhook"),
+  ].map((c) => [c.name, c])
+);
+
+const DEFAULT_CHANNELS = ["manychat", "meta"];
+
+// plantillas por canal: admin.templates = { telegram: "...", slack: "...", email_subject: "..." }
+function renderContent(admin, channel, vars) {
+  const t = admin.templates || {};
+  return {
+    text: renderTemplate(t[channel] || "{{summary}}", vars),
+    subject: renderTemplate(t.email_subject || "{{title}} · {{whatsapp}}", vars),
+    vars,
+  };
+}
+
+// canales configurados (con al menos un destino), en el orden de admin.notify_channels
+function activeChannels(admin) {
+  const names = splitList(admin.notify_channels);
+  return (names.length ? names : DEFAULT_CHANNELS).filter((n) => CHANNELS[n] && CHANNELS[n].targets(admin).length);
+}
+
+// notify_mode "fallback" (default): un job, primer canal que entregue gana
+// notify_mode "all": un job por canal (fan-out, cada uno con sus reintentos)
+function planNotifyJobs(admin) {
+  const channels = activeChannels(admin);
+  if (!channels.length) return [];
+  return safeText(admin.notify_mode) === "all" ? channels.map((c) => [c]) : [channels];
+}
+
+// "done" viaja dentro del job: en un reintento no se reenvía a quien ya recibió
+async function deliverToChannels(admin, channels, vars, done) {
+  let lastErr = null;
+
+  for (const name of channels) {
+    const channel = CHANNELS[name];
+    const content = renderContent(admin, name, vars);
+    let delivered = 0;
+    let failed = 0;
+
+    for (const target of channel.targets(admin)) {
+      const key = `${name}:${target}`;
+      if (done.includes(key)) {
+        delivered++;
+        continue;
+      }
+
+      try {
+        await channel.send(admin, target, content);
+        done.push(key);
+        delivered++;
+        console.log(`[admin_notify] sent via ${name} ✅`);
+      } catch (e) {
+        failed++;
+        lastErr = e;
+        console.error(`[admin_notify] ${name} FAILED:`, e?.response?.status, e?.response?.data || e?.message || e);
+      }
+    }
+
+    if (delivered && !failed) return name;
+    // entregó a unos sí y a otros no: reintentar este mismo canal
+    if (delivered) throw lastErr;
+    // ninguno: probar el siguiente canal (fallback)
+  }
+
+  throw lastErr || new Error("notify: ningún canal entregó");
+}
+
+module.exports = { CHANNELS, renderTemplate, activeChannels, planNotifyJobs, deliverToChannels };
@@ -0,0 +1,12 @@
+const { splitList } = require("../helpers");
+const { sendManyChat } = require("../manychat");
+const { renderDeep } = require("./render");
+
+// admin.admin_subscriber_id: uno o varios subscriber_id separados por coma
+// admin.manychat_content (opcional): { buttons, tags, fields, flow_ns } con {{placeholders}}
+module.exports = {
+  name: "manychat",
+  targets: (admin) => (admin.manychat_api_key ? splitList(admin.admin_subscriber_id) : []),
+  send: (admin, target, { text, vars }) =>
+    sendManyChat(admin, target, { ...renderDeep(admin.manychat_content || {}, vars), text }),
+};
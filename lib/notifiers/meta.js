@@ -0,0 +1,9 @@
+const { splitList } = require("../helpers");
+const { sendWhatsAppText } = require("../whatsapp");
+
+// ✅ Meta WhatsApp Cloud API (admin.admin_phone: uno o varios números)
+module.exports = {
+  name: "meta",
+  targets: (admin) => (admin.wa_token && admin.phone_number_id ? splitList(admin.admin_phone) : []),
+  send: (admin, target, { text }) => sendWhatsAppText(admin, target, text),
+};
@@ -0,0 +1,18 @@
+const { safeText } = require("../helpers");
+
+// "{{summary}}", "{{sector}}", "{{wa_link}}"... -> valores del lead
+function renderTemplate(tpl, vars) {
+  return String(tpl).replace(/\{\{\s*(\w+)\s*\}\}/g, (_, k) => safeText(vars[k]));
+}
+
+// igual que renderTemplate pero en objetos/arrays (botones, campos, etc.)
+function renderDeep(x, vars) {
+  if (typeof x === "string") return renderTemplate(x, vars);
+  if (Array.isArray(x)) return x.map((v) => renderDeep(v, vars));
+  if (x && typeof x === "object") {
+    return Object.fromEntries(Object.entries(x).map(([k, v]) => [k, renderDeep(v, vars)]));
+  }
+  return x;
+}
+
+module.exports = { renderTemplate, renderDeep };
@@ -0,0 +1,18 @@
+const axios = require("axios");
+const { splitList } = require("../helpers");
+
+// Incoming webhooks: admin.slack_webhook_urls (uno por canal de Slack)
+async function sendViaSlack(url, text) {
+  const resp = await axios.post(url, { text }, { timeout: 20000, validateStatus: () => true });
+
+  if (resp.status >= 200 && resp.status < 300) return true;
+
+  console.log("[admin_notify][slack] ->", resp.status, resp.data);
+  throw new Error(`Slack send failed: ${resp.status}`);
+}
+
+module.exports = {
+  name: "slack",
+  targets: (admin) => splitList(admin.slack_webhook_urls),
+  send: (_admin, target, { text }) => sendViaSlack(target, text),
+};
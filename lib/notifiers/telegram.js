@@ -0,0 +1,9 @@
+const { splitList } = require("../helpers");
+const { sendTelegramText } = require("../telegram");
+
+// Bot API: admin.telegram_bot_token + admin.telegram_chat_ids
+module.exports = {
+  name: "telegram",
+  targets: (admin) => (admin.telegram_bot_token ? splitList(admin.telegram_chat_ids) : []),
+  send: (admin, target, { text }) => sendTelegramText(admin, target, text),
+};
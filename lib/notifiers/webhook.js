@@ -0,0 +1,22 @@
+const axios = require("axios");
+const { splitList } = require("../helpers");
+
+// HTTP genérico: POST JSON { text, lead } a admin.notify_webhook_urls
+async function sendViaWebhook(url, payload) {
+  const resp = await axios.post(url, payload, {
+    headers: { "Content-Type": "application/json" },
+    timeout: 20000,
+    validateStatus: () => true,
+  });
+
+  if (resp.status >= 200 && resp.status < 300) return true;
+
+  console.log("[admin_notify][webhook] ->", resp.status, url);
+  throw new Error(`Webhook send failed: ${resp.status}`);
+}
+
+module.exports = {
+  name: "webhook",
+  targets: (admin) => splitList(admin.notify_webhook_urls),
+  send: (_admin, target, { text, vars }) => sendViaWebhook(target, { text, lead: vars }),
+};
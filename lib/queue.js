@@ -0,0 +1,209 @@
+const crypto = require("crypto");
+const { safeText } = require("./helpers");
+
+// ✅ reclamar trabajos vencidos moviendo su score a "ahora + lease":
+// si el proceso muere a mitad, el trabajo vuelve a estar vencido al acabar el lease.
+const CLAIM_LUA = `
+local ids = redis.call("ZRANGEBYSCORE", KEYS[1], "-inf", ARGV[1], "LIMIT", 0, tonumber(ARGV[3]))
+for _, id in ipairs(ids) do
+  redis.call("ZADD", KEYS[1], ARGV[2], id)
+end
+return ids
+`;
+
+function backoffMs(attempt, baseMs, maxMs) {
+  const exp = Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+  return Math.round(exp * (0.8 + Math.random() * 0.4)); // jitter ±20%
+}
+
+function errorText(e) {
+  const status = e?.response?.status ? `${e.response.status} ` : "";
+  return safeText(`${status}${e?.message || e}`).slice(0, 500);
+}
+
+// --- Cola durable de trabajos (Redis; en memoria si no hay Redis) ---
+// Claves: zia:queue:<name>:due (zset id->vence), :jobs (hash id->json), :dead (hash id->json)
+function createQueue({
+  redis,
+  name,
+  maxAttempts = 8,
+  baseDelayMs = 5000,
+  maxDelayMs = 30 * 60 * 1000,
+  leaseMs = 2 * 60 * 1000,
+  pollMs = 1000,
+  batch = 10,
+  onDead = null, // (job) => {} al agotar reintentos
+}) {
+  const prefix = `zia:queue:${name}`;
+  const dueKey = `${prefix}:due`;
+  const jobsKey = `${prefix}:jobs`;
+  const deadKey = `${prefix}:dead`;
+
+  const mem = { due: new Map(), jobs: new Map(), dead: new Map() };
+  let handlers = {};
+  let running = false;
+  let timer = null;
+
+  if (redis && !redis.ziaQueueClaim) {
+    redis.defineCommand("ziaQueueClaim", { numberOfKeys: 1, lua: CLAIM_LUA });
+  }
+
+  async function schedule(job, at) {
+    if (redis) {
+      await redis.multi().hset(jobsKey, job.id, JSON.stringify(job)).zadd(dueKey, at, job.id).exec();
+      return;
+    }
+    mem.jobs.set(job.id, JSON.stringify(job));
+    mem.due.set(job.id, at);
+  }
+
+  async function enqueue(type, data, { delayMs = 0 } = {}) {
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      data,
+      attempts: 0,
+      created_at: new Date().toISOString(),
+      last_error: "",
+    };
+
+    await schedule(job, Date.now() + delayMs);
+    if (!delayMs) setImmediate(tick);
+    return job;
+  }
+
+  async function claim() {
+    const now = Date.now();
+
+    if (redis) {
+      const ids = await redis.ziaQueueClaim(dueKey, now, now + leaseMs, batch);
+      if (!ids.length) return [];
+      const raws = await redis.hmget(jobsKey, ...ids);
+      return raws.filter(Boolean).map((r) => JSON.parse(r));
+    }
+
+    const jobs = [];
+    for (const [id, at] of mem.due) {
+      if (at > now || jobs.length >= batch) continue;
+      mem.due.set(id, now + leaseMs);
+      jobs.push(JSON.parse(mem.jobs.get(id)));
+    }
+    return jobs;
+  }
+
+  async function complete(job) {
+    if (redis) {
+      await redis.multi().hdel(jobsKey, job.id).zrem(dueKey, job.id).exec();
+      return;
+    }
+    mem.jobs.delete(job.id);
+    mem.due.delete(job.id);
+  }
+
+  async function fail(job, err) {
+    job.attempts += 1;
+    job.last_error = errorText(err);
+    job.failed_at = new Date().toISOString();
+
+    const dead = err?.permanent || job.attempts >= maxAttempts;
+
+    if (!dead) {
+      const wait = backoffMs(job.attempts, baseDelayMs, maxDelayMs);
+      console.log(`[queue:${name}] ${job.type} ${job.id} retry #${job.attempts} in ${wait}ms:`, job.last_error);
+      await schedule(job, Date.now() + wait);
+      return;
+    }
+
+    console.error(`[queue:${name}] ${job.type} ${job.id} -> dead-letter:`, job.last_error);
+    await moveToDead(job);
+  }
+
+  async function moveToDead(job) {
+    if (redis) {
+      await redis.multi().hdel(jobsKey, job.id).zrem(dueKey, job.id).hset(deadKey, job.id, JSON.stringify(job)).exec();
+    } else {
+      mem.jobs.delete(job.id);
+      mem.due.delete(job.id);
+      mem.dead.set(job.id, JSON.stringify(job));
+    }
+
+    if (onDead) {
+      try {
+        await onDead(job);
+      } catch (e) {
+        console.error(`[queue:${name}] onDead ERROR:`, e?.message || e);
+      }
+    }
+  }
+
+  async function runJob(job) {
+    const handler = handlers[job.type];
+    if (!handler) {
+      const e = new Error(`no handler for ${job.type}`);
+      e.permanent = true;
+      return fail(job, e);
+    }
+
+    try {
+      await handler(job.data, job);
+      await complete(job);
+    } catch (e) {
+      await fail(job, e);
+    }
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      let jobs = await claim();
+      while (jobs.length) {
+        for (const job of jobs) await runJob(job);
+        jobs = await claim();
+      }
+    } catch (e) {
+      console.error(`[queue:${name}] tick ERROR:`, e?.message || e);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start(jobHandlers) {
+    handlers = { ...handlers, ...jobHandlers };
+    if (timer) return;
+    timer = setInterval(tick, pollMs);
+    timer.unref();
+    if (!redis) console.log(`[queue:${name}] sin Redis: cola en memoria (no sobrevive reinicios)`);
+  }
+
+  async function listDead() {
+    const raws = redis ? Object.values(await redis.hgetall(deadKey)) : [...mem.dead.values()];
+    return raws.map((r) => JSON.parse(r)).sort((a, b) => safeText(b.failed_at).localeCompare(safeText(a.failed_at)));
+  }
+
+  // vuelve a encolar un trabajo muerto con intentos en cero
+  async function replay(id) {
+    const raw = redis ? await redis.hget(deadKey, id) : mem.dead.get(id);
+    if (!raw) return null;
+
+    const job = { ...JSON.parse(raw), attempts: 0, last_error: "", replayed_at: new Date().toISOString() };
+    if (redis) await redis.hdel(deadKey, id);
+    else mem.dead.delete(id);
+
+    await schedule(job, Date.now());
+    setImmediate(tick);
+    return job;
+  }
+
+  async function stats() {
+    if (redis) {
+      const [pending, dead] = await Promise.all([redis.zcard(dueKey), redis.hlen(deadKey)]);
+      return { pending, dead };
+    }
+    return { pending: mem.due.size, dead: mem.dead.size };
+  }
+
+  return { enqueue, start, listDead, replay, stats };
+}
+
+module.exports = { createQueue, backoffMs };
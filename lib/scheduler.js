@@ -0,0 +1,296 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const express = require("express");
+const { safeText } = require("./helpers");
+const { parseDateBound } = require("./leads");
+const { t } = require("./i18n");
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const LOCALES = { es: "es", en: "en-US", pt: "pt-BR" };
+
+// --- Disponibilidad (tenant.schedule) ---
+// { timezone, slot_minutes, notice_minutes, days_ahead, offer, title,
+//   windows: { mon: ["09:00-12:00", "14:00-18:00"], ... } } (también "09:00-12:00,14:00-18:00")
+// sin ventanas = agenda apagada (null): la fase 2 sigue con "llamada" en texto libre
+function normalizeSchedule(s = {}, defaults = {}) {
+  if (s === false) return null;
+  const x = { ...defaults, ...(s || {}) };
+
+  const windows = {};
+  for (const [day, raw] of Object.entries(x.windows || {})) {
+    if (!DAYS.includes(day)) throw new Error(`[schedule] día inválido "${day}" (usa ${DAYS.join(", ")})`);
+    const list = Array.isArray(raw) ? raw : safeText(raw).split(",");
+    windows[day] = list.map(safeText).filter(Boolean).map(parseWindow);
+  }
+  if (!Object.values(windows).some((w) => w.length)) return null;
+
+  const timezone = safeText(x.timezone) || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+  } catch {
+    throw new Error(`[schedule] zona horaria inválida "${timezone}"`);
+  }
+
+  return {
+    timezone,
+    slot_minutes: Number(x.slot_minutes) || 30,
+    notice_minutes: Number(x.notice_minutes ?? 120) || 0, // anticipación mínima
+    days_ahead: Number(x.days_ahead) || 7,
+    offer: Math.min(Math.max(Number(x.offer) || 3, 2), 3), // horarios que se ofrecen al cerrar
+    title: safeText(x.title), // "" = texto por idioma
+    windows,
+  };
+}
+
+// "09:00-12:30" -> { from: 540, to: 750 } (minutos del día)
+function parseWindow(s) {
+  const m = s.match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  const from = m ? Number(m[1]) * 60 + Number(m[2]) : NaN;
+  const to = m ? Number(m[3]) * 60 + Number(m[4]) : NaN;
+  if (!(from >= 0 && to <= 24 * 60 && from < to)) throw new Error(`[schedule] ventana inválida "${s}" (usa HH:MM-HH:MM)`);
+  return { from, to };
+}
+
+// fecha/hora de pared en timeZone
+function zonedParts(ts, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(ts));
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  return { y: get("year"), m: get("month"), d: get("day"), h: get("hour"), mi: get("minute"), s: get("second") };
+}
+
+function offsetMs(ts, timeZone) {
+  const p = zonedParts(ts, timeZone);
+  return Date.UTC(p.y, p.m - 1, p.d, p.h, p.mi, p.s) - Math.floor(ts / 1000) * 1000;
+}
+
+// hora local en timeZone -> timestamp UTC (2 pasadas por los cambios de horario)
+function zonedToUtc(y, m, d, minutes, timeZone) {
+  const wall = Date.UTC(y, m - 1, d, Math.floor(minutes / 60), minutes % 60);
+  const guess = wall - offsetMs(wall, timeZone);
+  return wall - offsetMs(guess, timeZone);
+}
+
+// "martes, 21 oct, 10:00" en el idioma del contacto y la zona del tenant
+function formatSlot(start, schedule, lang = "es") {
+  return new Intl.DateTimeFormat(LOCALES[lang] || LOCALES.es, {
+    timeZone: schedule.timezone,
+    weekday: "long",
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).format(new Date(start));
+}
+
+// --- iCalendar (RFC 5545) ---
+function icsText(s) {
+  return safeText(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+function icsDate(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function renderIcs(booking, schedule) {
+  const lang = booking.lang || "es";
+  return [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Zia Lab//Zia Bot//ES",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VEVENT",
+    `UID:${booking.id}@zia-bot`,
+    `DTSTAMP:${icsDate(booking.updated_at || booking.created_at)}`,
+    `DTSTART:${icsDate(booking.start)}`,
+    `DTEND:${icsDate(booking.end)}`,
+    `SUMMARY:${icsText(schedule?.title || t(lang, "call_title"))}`,
+    `DESCRIPTION:${icsText(t(lang, "call_details"))}`,
+    `STATUS:${booking.status === "cancelled" ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+    "END:VCALENDAR",
+    "",
+  ].join("\r\n");
+}
+
+// --- Agenda (archivo JSON local, sin Google Calendar) ---
+// Un solo proceso escribe el archivo; reservar es síncrono (revisar + guardar) para no dar 2 veces el mismo horario.
+//   baseUrl: URL pública del servidor para el enlace .ics ("" = sin enlace)
+function createScheduler({ file, baseUrl = "" }) {
+  let bookings = [];
+  let writing = Promise.resolve();
+
+  if (fs.existsSync(file)) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+      bookings = Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      console.error("[scheduler] no pude leer", file, e?.message || e);
+      throw e;
+    }
+  } else {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  // ✅ una escritura fallida no traba las siguientes y el error llega a quien llamó
+  // (una cita que no quedó en disco se pierde al reiniciar y el horario se le daría a otro)
+  function persist() {
+    const snapshot = JSON.stringify(bookings, null, 2);
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        const tmp = `${file}.tmp`;
+        await fs.promises.writeFile(tmp, snapshot);
+        await fs.promises.rename(tmp, file);
+      });
+    return writing.catch((e) => {
+      console.error("[scheduler] write FAILED:", e?.message || e);
+      throw e;
+    });
+  }
+
+  function busy(tenantId, start, end) {
+    return bookings.some(
+      (b) => b.tenant === tenantId && b.status === "booked" && Date.parse(b.start) < end && Date.parse(b.end) > start
+    );
+  }
+
+  // horarios libres desde ahora + notice_minutes, a lo más perDay por día (para repartirlos)
+  // -> [{ start, end }] (ISO UTC)
+  function freeSlots(tenant, { now = Date.now(), limit, perDay = 2 } = {}) {
+    const sch = tenant.schedule;
+    if (!sch) return [];
+    const max = limit ?? sch.offer;
+    const step = sch.slot_minutes;
+    const earliest = now + sch.notice_minutes * 60 * 1000;
+    const today = zonedParts(now, sch.timezone);
+    const out = [];
+
+    for (let i = 0; i <= sch.days_ahead && out.length < max; i++) {
+      const day = new Date(Date.UTC(today.y, today.m - 1, today.d + i));
+      const [y, m, d] = [day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate()];
+      let taken = 0;
+
+      for (const w of sch.windows[DAYS[day.getUTCDay()]] || []) {
+        for (let min = w.from; min + step <= w.to && taken < perDay && out.length < max; min += step) {
+          const start = zonedToUtc(y, m, d, min, sch.timezone);
+          const end = start + step * 60 * 1000;
+          if (start < earliest || busy(tenant.id, start, end)) continue;
+          out.push({ start: new Date(start).toISOString(), end: new Date(end).toISOString() });
+          taken += 1;
+        }
+      }
+    }
+    return out;
+  }
+
+  // -> booking | null si el horario ya no está libre (o no es un horario de la agenda)
+  async function book(tenant, { start, contactId, channel, leadId, lang }) {
+    const slot = freeSlots(tenant, { limit: Infinity, perDay: Infinity }).find((s) => s.start === start);
+    if (!slot) return null;
+
+    const now = new Date().toISOString();
+    const booking = {
+      id: crypto.randomUUID(),
+      tenant: tenant.id,
+      contact_id: safeText(contactId),
+      channel: safeText(channel),
+      lead_id: safeText(leadId),
+      lang: safeText(lang),
+      start: slot.start,
+      end: slot.end,
+      timezone: tenant.schedule.timezone,
+      status: "booked",
+      token: crypto.randomBytes(16).toString("hex"), // enlace .ics sin login
+      created_at: now,
+      updated_at: now,
+    };
+    bookings.push(booking);
+    try {
+      await persist();
+    } catch (e) {
+      bookings = bookings.filter((b) => b !== booking); // el horario vuelve a estar libre
+      throw e;
+    }
+    return booking;
+  }
+
+  function get(id) {
+    return bookings.find((b) => b.id === id) || null;
+  }
+
+  // -> booking cancelado | null si no existe
+  async function cancel(id) {
+    const booking = get(id);
+    if (!booking) return null;
+    if (booking.status !== "cancelled") {
+      const prev = { status: booking.status, updated_at: booking.updated_at };
+      Object.assign(booking, { status: "cancelled", updated_at: new Date().toISOString() });
+      try {
+        await persist();
+      } catch (e) {
+        Object.assign(booking, prev); // sigue reservada en disco: también en memoria
+        throw e;
+      }
+    }
+    return booking;
+  }
+
+  // filtros: tenant, status, from/to (fecha de la cita); la más próxima primero
+  function list({ tenant, status, from, to } = {}) {
+    const fromTs = parseDateBound(from);
+    const toTs = parseDateBound(to, true);
+    return bookings
+      .filter((b) => {
+        if (tenant && b.tenant !== tenant) return false;
+        if (status && b.status !== status) return false;
+        const ts = Date.parse(b.start);
+        if (!Number.isNaN(fromTs) && ts < fromTs) return false;
+        if (!Number.isNaN(toTs) && ts > toTs) return false;
+        return true;
+      })
+      .sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  function icsUrl(booking) {
+    const base = safeText(baseUrl).replace(/\/+$/, "");
+    return base ? `${base}/cal/${booking.id}.ics?t=${booking.token}` : "";
+  }
+
+  return { freeSlots, book, get, cancel, list, icsUrl };
+}
+
+function sameToken(a, b) {
+  const [x, y] = [Buffer.from(a), Buffer.from(b)];
+  return x.length > 0 && x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// --- Enlace público de la invitación: GET /cal/:id.ics?t=<token> ---
+function createCalendarRouter({ scheduler, tenants }) {
+  const router = express.Router();
+
+  router.get("/cal/:id.ics", (req, res) => {
+    const booking = scheduler.get(safeText(req.params.id));
+    if (!booking || !sameToken(safeText(req.query?.t), booking.token)) {
+      return res.status(404).json({ error: "not_found" });
+    }
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="zia-${booking.id.slice(0, 8)}.ics"`);
+    return res.send(renderIcs(booking, tenants.get(booking.tenant)?.schedule));
+  });
+
+  return router;
+}
+
+module.exports = { createScheduler, createCalendarRouter, normalizeSchedule, formatSlot, renderIcs };
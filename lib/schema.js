@@ -0,0 +1,56 @@
+// --- Validación JSON Schema (subconjunto) ---
+// Suficiente para la salida del modelo: type, properties, required, additionalProperties,
+// enum, minLength/maxLength, pattern, items. -> [errores legibles], [] si es válido
+
+function typeOf(x) {
+  if (x === null) return "null";
+  if (Array.isArray(x)) return "array";
+  if (typeof x === "number" && Number.isInteger(x)) return "integer";
+  return typeof x;
+}
+
+function matchesType(expected, x) {
+  const actual = typeOf(x);
+  return [].concat(expected).some((t) => t === actual || (t === "number" && actual === "integer"));
+}
+
+function validateSchema(schema, value, where = "$") {
+  const errors = [];
+  if (!schema) return errors;
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    errors.push(`${where}: se esperaba ${[].concat(schema.type).join("|")}, llegó ${typeOf(value)}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: debe ser uno de ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${where}: vacío o muy corto`);
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push(`${where}: máximo ${schema.maxLength} caracteres`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${where}: formato inválido`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${where}[${i}]`)));
+  }
+
+  if (typeOf(value) === "object") {
+    const props = schema.properties || {};
+    for (const k of schema.required || []) {
+      if (value[k] === undefined) errors.push(`${where}.${k}: falta`);
+    }
+    for (const [k, v] of Object.entries(value)) {
+      if (props[k]) errors.push(...validateSchema(props[k], v, `${where}.${k}`));
+      else if (schema.additionalProperties === false) errors.push(`${where}.${k}: no permitido`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = { validateSchema };
@@ -0,0 +1,73 @@
+const axios = require("axios");
+const { safeText, normalizeBaseUrl } = require("./helpers");
+
+const DEFAULT_TELEGRAM_API_BASE = "https://api.telegram.org";
+
+// (admin = config del tenant: telegram_bot_token, telegram_api_base)
+function apiBase(admin) {
+  return normalizeBaseUrl(admin.telegram_api_base || DEFAULT_TELEGRAM_API_BASE);
+}
+
+// Bot API: POST /bot<token>/<method>; lanza si ok=false
+async function telegramApi(admin, method, payload) {
+  const resp = await axios.post(`${apiBase(admin)}/bot${admin.telegram_bot_token}/${method}`, payload, {
+    timeout: 20000,
+    validateStatus: () => true,
+  });
+
+  if (resp.status >= 200 && resp.status < 300 && resp.data?.ok !== false) return resp.data?.result;
+
+  console.log(`[telegram] ${method} ->`, resp.status, resp.data);
+  const e = new Error(`Telegram ${method} failed: ${resp.status}`);
+  e.status = resp.status;
+  throw e;
+}
+
+function sendTelegramText(admin, chatId, text) {
+  return telegramApi(admin, "sendMessage", { chat_id: chatId, text: safeText(text), disable_web_page_preview: true });
+}
+
+// file_id -> URL de descarga (incluye el token: no loguear)
+async function getTelegramFileUrl(admin, fileId) {
+  const file = await telegramApi(admin, "getFile", { file_id: fileId });
+  return file?.file_path ? `${apiBase(admin)}/file/bot${admin.telegram_bot_token}/${file.file_path}` : "";
+}
+
+// adjunto -> { kind, id } (foto: la versión más grande)
+function messageMedia(m) {
+  if (m.voice || m.audio) return { kind: "audio", id: safeText((m.voice || m.audio).file_id) };
+  if (m.photo?.length) return { kind: "image", id: safeText(m.photo[m.photo.length - 1].file_id) };
+  if (m.document) return { kind: "", id: safeText(m.document.file_id) }; // pdf o imagen como archivo
+  return null;
+}
+
+// update -> { update_id, chat_id, from_name, language_code, text, media, callback_id } | null
+function parseTelegramUpdate(update) {
+  if (update?.callback_query) {
+    const q = update.callback_query;
+    return {
+      update_id: update.update_id,
+      chat_id: safeText(q.message?.chat?.id || q.from?.id),
+      from_name: safeText(q.from?.first_name),
+      language_code: safeText(q.from?.language_code),
+      text: safeText(q.data),
+      media: null,
+      callback_id: safeText(q.id),
+    };
+  }
+
+  const m = update?.message;
+  if (!m?.chat) return null;
+
+  return {
+    update_id: update.update_id,
+    chat_id: safeText(m.chat.id),
+    from_name: safeText(m.from?.first_name),
+    language_code: safeText(m.from?.language_code),
+    text: safeText(m.text || m.caption),
+    media: messageMedia(m),
+    callback_id: "",
+  };
+}
+
+module.exports = { DEFAULT_TELEGRAM_API_BASE, telegramApi, sendTelegramText, getTelegramFileUrl, parseTelegramUpdate };
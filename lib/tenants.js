@@ -0,0 +1,131 @@
+const fs = require("fs");
+const path = require("path");
+const { safeText } = require("./helpers");
+const { normalizeLang } = require("./i18n");
+const { normalizeSchedule } = require("./scheduler");
+
+// "env:NOMBRE" -> process.env.NOMBRE (para no guardar secretos en el JSON)
+function resolveEnvRefs(x) {
+  if (typeof x === "string") {
+    return x.startsWith("env:") ? process.env[x.slice(4)] || "" : x;
+  }
+  if (Array.isArray(x)) return x.map(resolveEnvRefs);
+  if (x && typeof x === "object") {
+    return Object.fromEntries(Object.entries(x).map(([k, v]) => [k, resolveEnvRefs(v)]));
+  }
+  return x;
+}
+
+function normalizeTenant(raw, defaults) {
+  const t = resolveEnvRefs(raw);
+  const id = safeText(t.id);
+
+  return {
+    id,
+    token: safeText(t.token),
+    flow: safeText(t.flow) || defaults.flow,
+    // idioma para contactos sin idioma detectado ("" = el del flujo)
+    lang: normalizeLang(t.lang) || defaults.lang || "",
+    // prefijo de llaves Redis: cada tenant su propio espacio
+    redis_prefix: safeText(t.redis_prefix) || `zia:${id}`,
+    model: { ...defaults.model, ...(t.model || {}) },
+    handoff: normalizeHandoff(t.handoff, defaults.handoff),
+    // agenda de llamadas (lib/scheduler.js); "schedule": false la apaga para este tenant
+    schedule: normalizeSchedule(t.schedule, defaults.schedule),
+    admin: { ...(t.admin || {}) },
+  };
+}
+
+// handoff: { auto: pasar a una persona si lo pide o se frustra, reply: null = texto por idioma | "" = no responder
+// nada mientras está en pausa | "texto", pause_minutes: duración de la pausa automática (0 = hasta reanudar) }
+function normalizeHandoff(h = {}, defaults = {}) {
+  const x = { ...defaults, ...(h || {}) };
+  return {
+    auto: x.auto !== false,
+    reply: x.reply == null ? null : safeText(x.reply),
+    pause_minutes: Number(x.pause_minutes ?? 24 * 60) || 0,
+  };
+}
+
+// tenant "default" = config por ENV de siempre (llaves zia:${contactId})
+function loadTenants({ file, defaults, flows }) {
+  const tenants = new Map();
+
+  tenants.set("default", {
+    id: "default",
+    token: defaults.token,
+    flow: defaults.flow,
+    lang: defaults.lang || "",
+    redis_prefix: "zia",
+    model: { ...defaults.model },
+    handoff: normalizeHandoff(defaults.handoff),
+    schedule: normalizeSchedule(defaults.schedule),
+    admin: { ...defaults.admin },
+  });
+
+  if (file) {
+    const where = `[tenants] ${path.basename(file)}`;
+    const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+    const list = Array.isArray(parsed) ? parsed : parsed?.tenants;
+    if (!Array.isArray(list)) throw new Error(`${where}: se espera un array "tenants"`);
+
+    for (const raw of list) {
+      const t = normalizeTenant(raw || {}, defaults);
+      if (!t.id) throw new Error(`${where}: tenant sin "id"`);
+      if (tenants.has(t.id)) throw new Error(`${where}: id repetido "${t.id}"`);
+      tenants.set(t.id, t);
+    }
+  }
+
+  const prefixes = new Set();
+  const tokens = new Set();
+  for (const t of tenants.values()) {
+    if (!flows.has(t.flow)) throw new Error(`[tenants] "${t.id}": flow "${t.flow}" no existe`);
+    if (prefixes.has(t.redis_prefix)) throw new Error(`[tenants] "${t.id}": redis_prefix repetido`);
+    prefixes.add(t.redis_prefix);
+    if (t.token) {
+      if (tokens.has(t.token)) throw new Error(`[tenants] "${t.id}": token repetido`);
+      tokens.add(t.token);
+    }
+  }
+
+  return tenants;
+}
+
+function bearerToken(req) {
+  const h = safeText(req.headers?.authorization);
+  return h.startsWith("Bearer ") ? h.slice("Bearer ".length).trim() : "";
+}
+
+// orden: /mc/:tenant/reply -> body.tenant -> token -> default
+function resolveTenant(tenants, req) {
+  const explicit = safeText(req.params?.tenant) || safeText(req.body?.tenant);
+  if (explicit) return tenants.get(explicit) || null;
+
+  const token = bearerToken(req);
+  if (token) {
+    for (const t of tenants.values()) {
+      if (t.token && t.token === token) return t;
+    }
+  }
+
+  return tenants.get("default");
+}
+
+// WhatsApp Cloud: el número que recibió el mensaje define el tenant
+function tenantByPhoneNumberId(tenants, phoneNumberId) {
+  const id = safeText(phoneNumberId);
+  if (!id) return null;
+  for (const t of tenants.values()) {
+    if (safeText(t.admin.phone_number_id) === id && t.admin.wa_token) return t;
+  }
+  return null;
+}
+
+function tenantAuthorized(tenant, req) {
+  // Si el tenant no tiene token, no exige auth (modo dev)
+  if (!tenant.token) return true;
+  return bearerToken(req) === tenant.token;
+}
+
+module.exports = { loadTenants, resolveTenant, tenantByPhoneNumberId, tenantAuthorized, bearerToken };
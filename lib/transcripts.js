@@ -0,0 +1,114 @@
+const fs = require("fs");
+const path = require("path");
+const { safeText } = require("./helpers");
+const { parseDateBound } = require("./leads");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- Archivo de conversaciones (JSONL append-only) ---
+// mem.history guarda solo los últimos 12 mensajes y expira con la memoria (7 días); aquí queda
+// todo: <dir>/<tenant>/<contacto>.jsonl, una línea por mensaje. Se borran los archivos sin
+// actividad en retentionDays (0 = nunca).
+//   { ts, role: "user", text, source: "text"|"audio"|"image"|"document", media_url?, channel }
+//   { ts, role: "assistant", text, via: "model"|"rules"|"handoff"|"fallback", model, provider, latency_ms,
+//     state: { campo: [antes, después] }, sources?: [fragmentos citados de lib/knowledge.js] }
+function createTranscriptStore({ dir, retentionDays = 365 }) {
+  fs.mkdirSync(dir, { recursive: true });
+  // escrituras en orden (un solo proceso escribe)
+  let writing = Promise.resolve();
+
+  // ids de contacto arbitrarios (teléfonos, "web:abc/..") -> nombre de archivo seguro
+  function fileFor(tenantId, contactId) {
+    return path.join(dir, encodeURIComponent(tenantId), `${encodeURIComponent(contactId)}.jsonl`);
+  }
+
+  async function append(tenantId, contactId, entries) {
+    if (!contactId || !entries.length) return;
+    const file = fileFor(tenantId, contactId);
+    const lines = entries.map((e) => `${JSON.stringify(e)}\n`).join("");
+    // ✅ un error de disco (EACCES, ENOSPC...) pierde solo esta escritura, no las siguientes
+    writing = writing
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, lines);
+      });
+    return writing.catch((e) => console.error("[transcripts] write FAILED:", e?.message || e));
+  }
+
+  // -> [entradas] (from/to = fecha o ISO) | null si el contacto no tiene archivo
+  async function read(tenantId, contactId, { from, to } = {}) {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(fileFor(tenantId, contactId), "utf8");
+    } catch (e) {
+      if (e.code === "ENOENT") return null;
+      throw e;
+    }
+
+    const fromTs = parseDateBound(from);
+    const toTs = parseDateBound(to, true);
+    const out = [];
+    for (const line of raw.split("\n")) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // línea cortada (caída a mitad de escritura)
+      }
+      const ts = Date.parse(entry.ts);
+      if (!Number.isNaN(fromTs) && ts < fromTs) continue;
+      if (!Number.isNaN(toTs) && ts > toTs) continue;
+      out.push(entry);
+    }
+    return out;
+  }
+
+  // contactos con archivo de un tenant, el más reciente primero
+  async function list(tenantId) {
+    const tdir = path.join(dir, encodeURIComponent(tenantId));
+    const names = await fs.promises.readdir(tdir).catch(() => []);
+    const items = await Promise.all(
+      names
+        .filter((n) => n.endsWith(".jsonl"))
+        .map(async (n) => {
+          const st = await fs.promises.stat(path.join(tdir, n));
+          return { contact_id: decodeURIComponent(n.slice(0, -".jsonl".length)), bytes: st.size, updated_at: st.mtime.toISOString() };
+        })
+    );
+    return items.sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+  }
+
+  // borra conversaciones sin actividad en retentionDays -> cantidad borrada
+  async function prune(now = Date.now()) {
+    if (!retentionDays) return 0;
+    const limit = now - retentionDays * DAY_MS;
+    let removed = 0;
+
+    for (const t of await fs.promises.readdir(dir).catch(() => [])) {
+      const tdir = path.join(dir, t);
+      for (const n of await fs.promises.readdir(tdir).catch(() => [])) {
+        const file = path.join(tdir, n);
+        const st = await fs.promises.stat(file).catch(() => null);
+        if (st && st.mtimeMs < limit) {
+          await fs.promises.unlink(file).catch(() => {});
+          removed += 1;
+        }
+      }
+    }
+    if (removed) console.log(`[transcripts] pruned ${removed} conversation(s) older than ${retentionDays} days`);
+    return removed;
+  }
+
+  // limpieza al arrancar y 1 vez al día
+  function start() {
+    const run = () => prune().catch((e) => console.error("[transcripts] prune FAILED:", e?.message || e));
+    run();
+    setInterval(run, DAY_MS).unref();
+  }
+
+  return { append, read, list, prune, start };
+}
+
+module.exports = { createTranscriptStore };
@@ -0,0 +1,176 @@
+const { safeText } = require("./helpers");
+
+// --- Consumo de tokens / minutos y costo estimado ---
+// Cada llamada (chat, reparación de JSON, corrección, resumen, visión, transcripción) deja una entrada;
+// se suman en la memoria del contacto (mem.usage), en el lead y en un agregado diario por tenant.
+
+// USD: chat por 1M tokens (input/output), transcripción por minuto. LLM_PRICES (JSON) agrega/pisa modelos.
+const DEFAULT_PRICES = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "whisper-1": { per_minute: 0.006 },
+  "gpt-4o-transcribe": { per_minute: 0.006 },
+  "gpt-4o-mini-transcribe": { per_minute: 0.003 },
+};
+
+const KINDS = ["chat", "repair", "correction", "summary", "vision", "transcription"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "gpt-4o-mini-2024-07-18" -> precio de "gpt-4o-mini" (el prefijo más largo); modelos locales = sin precio
+function priceFor(prices, model) {
+  const m = safeText(model).toLowerCase();
+  const key = Object.keys(prices)
+    .filter((k) => m === k || m.startsWith(`${k}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? prices[key] : null;
+}
+
+// resultado de lib/llm.js (chat o transcripción) -> entrada de consumo
+// la duración del audio solo llega con whisper + verbose_json o usage.seconds; sin ella la transcripción
+// queda "unpriced" (costo desconocido) en vez de contar como 0 min / $0
+function usageEntry(kind, result = {}) {
+  const seconds = Number(result.duration || result.usage?.seconds || 0);
+  return {
+    kind,
+    provider: safeText(result.provider),
+    model: safeText(result.model),
+    prompt_tokens: Number(result.usage?.prompt_tokens || 0),
+    completion_tokens: Number(result.usage?.completion_tokens || 0),
+    audio_seconds: seconds,
+    ...(kind === "transcription" && !seconds ? { unpriced: true } : {}),
+  };
+}
+
+function round(x, digits = 6) {
+  return Number(Number(x || 0).toFixed(digits));
+}
+
+// suma entradas a un total { calls, repair_calls, unpriced_calls, prompt_tokens, completion_tokens, audio_seconds, cost_usd }
+function addUsage(total, entries) {
+  const t = {
+    calls: 0,
+    repair_calls: 0,
+    unpriced_calls: 0,
+    prompt_tokens: 0,
+    completion_tokens: 0,
+    audio_seconds: 0,
+    cost_usd: 0,
+    ...(total || {}),
+  };
+  for (const e of entries) {
+    t.calls += 1;
+    if (e.kind === "repair" || e.kind === "correction") t.repair_calls += 1;
+    if (e.unpriced) t.unpriced_calls += 1;
+    t.prompt_tokens += e.prompt_tokens;
+    t.completion_tokens += e.completion_tokens;
+    t.audio_seconds = round(t.audio_seconds + e.audio_seconds, 2);
+    t.cost_usd = round(t.cost_usd + e.cost_usd);
+  }
+  return t;
+}
+
+function dayOf(ts) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+// Redis: hash <redis_prefix>:usage:<YYYY-MM-DD> (contadores); sin Redis, en memoria
+function createUsage({ redis, prices = {}, ttlDays = 400 }) {
+  const table = { ...DEFAULT_PRICES, ...prices };
+  const mem = new Map();
+
+  function costOf(e) {
+    const p = priceFor(table, e.model);
+    if (!p) return 0;
+    if (e.kind === "transcription") return ((p.per_minute || 0) * e.audio_seconds) / 60;
+    return ((p.input || 0) * e.prompt_tokens + (p.output || 0) * e.completion_tokens) / 1e6;
+  }
+
+  // entradas con costo (se llama una vez por turno)
+  function price(entries) {
+    return entries.map((e) => ({ ...e, cost_usd: round(costOf(e)) }));
+  }
+
+  function dayKey(tenant, day) {
+    return `${tenant.redis_prefix}:usage:${day}`;
+  }
+
+  // turno terminado: entries ya con costo; lead = el turno calificó un lead
+  async function record(tenant, entries, { lead = false } = {}) {
+    const counters = { turns: 1, leads: lead ? 1 : 0, prompt_tokens: 0, completion_tokens: 0 };
+    const floats = { audio_seconds: 0, cost_usd: 0 };
+    for (const e of entries) {
+      counters[`calls_${e.kind}`] = (counters[`calls_${e.kind}`] || 0) + 1;
+      if (e.unpriced) counters.calls_unpriced = (counters.calls_unpriced || 0) + 1;
+      counters.prompt_tokens += e.prompt_tokens;
+      counters.completion_tokens += e.completion_tokens;
+      floats.audio_seconds += e.audio_seconds;
+      floats.cost_usd += e.cost_usd;
+    }
+
+    const key = dayKey(tenant, dayOf(Date.now()));
+    if (!redis) {
+      const day = mem.get(key) || {};
+      for (const [k, v] of Object.entries({ ...counters, ...floats })) day[k] = round((day[k] || 0) + v);
+      mem.set(key, day);
+      return;
+    }
+
+    const tx = redis.multi();
+    for (const [k, v] of Object.entries(counters)) if (v) tx.hincrby(key, k, v);
+    for (const [k, v] of Object.entries(floats)) if (v) tx.hincrbyfloat(key, k, round(v));
+    tx.expire(key, ttlDays * 24 * 60 * 60);
+    await tx.exec();
+  }
+
+  // reporte por días (from/to = YYYY-MM-DD, máx. 366 días) + totales y métricas derivadas
+  async function report(tenant, { from, to }) {
+    const end = Date.parse(to);
+    const start = Date.parse(from);
+    const days = [];
+    for (let ts = start; ts <= end && days.length < 366; ts += DAY_MS) days.push(dayOf(ts));
+
+    const rows = await Promise.all(
+      days.map(async (day) => {
+        const key = dayKey(tenant, day);
+        const raw = redis ? await redis.hgetall(key) : mem.get(key) || {};
+        return { day, ...Object.fromEntries(Object.entries(raw).map(([k, v]) => [k, Number(v)])) };
+      })
+    );
+
+    const totals = {};
+    for (const row of rows) {
+      for (const [k, v] of Object.entries(row)) if (k !== "day") totals[k] = round((totals[k] || 0) + v);
+    }
+
+    const modelCalls = KINDS.filter((k) => k !== "transcription").reduce((n, k) => n + (totals[`calls_${k}`] || 0), 0);
+    const repairs = (totals.calls_repair || 0) + (totals.calls_correction || 0);
+
+    return {
+      tenant: tenant.id,
+      from: days[0] || "",
+      to: days[days.length - 1] || "",
+      totals: {
+        turns: totals.turns || 0,
+        leads: totals.leads || 0,
+        model_calls: modelCalls,
+        prompt_tokens: totals.prompt_tokens || 0,
+        completion_tokens: totals.completion_tokens || 0,
+        transcription_minutes: round((totals.audio_seconds || 0) / 60, 2),
+        cost_usd: round(totals.cost_usd || 0),
+        // transcripciones sin duración: cost_usd y transcription_minutes no las incluyen
+        unpriced_calls: totals.calls_unpriced || 0,
+        cost_per_lead_usd: totals.leads ? round(totals.cost_usd / totals.leads) : null,
+        // reparaciones de JSON + correcciones (checkTurn) sobre llamadas "principales"
+        repair_rate: totals.calls_chat ? round(repairs / totals.calls_chat, 4) : 0,
+      },
+      days: rows.filter((r) => Object.keys(r).length > 1),
+    };
+  }
+
+  return { price, record, report };
+}
+
+module.exports = { DEFAULT_PRICES, createUsage, usageEntry, addUsage, priceFor };
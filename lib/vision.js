@@ -0,0 +1,66 @@
+const fs = require("fs");
+const { safeText } = require("./helpers");
+const { safeParseModelJson } = require("./engine");
+const { usageEntry } = require("./usage");
+
+// --- Imágenes y PDF (tarjetas, listas de precios, capturas de Instagram) ---
+// El modelo con visión describe el adjunto y extrae datos útiles para el flujo;
+// el texto resultante entra al turno normal como si el cliente lo hubiera escrito.
+function buildVisionPrompt(flow) {
+  const fields = flow.fields.map((f) => `- ${f.key}: ${f.label || f.question}`).join("\n");
+
+  return [
+    "Lees imágenes y documentos que un prospecto envía por chat (tarjetas de presentación, listas de precios, menús, capturas de Instagram o de su web).",
+    "Describe en 1-2 frases qué es y extrae SOLO los datos que aparezcan (no inventes):",
+    fields,
+    "- negocio: nombre del negocio",
+    "- redes_sociales: usuario (@...) o link de redes/web",
+    'Responde SOLO JSON: {"descripcion":"...","datos":{"clave":"valor"}}',
+  ].join("\n");
+}
+
+function attachmentPart(file, b64) {
+  if (file.kind === "document") {
+    return { type: "file", file: { filename: `documento.${file.ext}`, file_data: `data:${file.contentType};base64,${b64}` } };
+  }
+  return { type: "image_url", image_url: { url: `data:${file.contentType};base64,${b64}`, detail: "auto" } };
+}
+
+// file = resultado de downloadMedia() (kind image|document) -> { text para el turno, usage }
+// llm = lib/llm.js; route = tenant.model (proveedor/respaldo)
+async function describeAttachment(llm, { model, flow, file, caption, route }) {
+  const b64 = (await fs.promises.readFile(file.path)).toString("base64");
+
+  const completion = await llm.chat(
+    {
+      model,
+      temperature: 0,
+      max_tokens: 300,
+      json: true,
+      messages: [
+        { role: "system", content: buildVisionPrompt(flow) },
+        {
+          role: "user",
+          content: [
+            { type: "text", text: safeText(caption) ? `Mensaje del cliente: ${caption}` : "Adjunto sin texto." },
+            attachmentPart(file, b64),
+          ],
+        },
+      ],
+    },
+    route
+  );
+
+  const parsed = safeParseModelJson(completion.content) || {};
+  const label = file.kind === "document" ? "Documento PDF enviado" : "Imagen enviada";
+  const datos = Object.entries(parsed.datos || {})
+    .map(([k, v]) => [k, safeText(v)])
+    .filter(([, v]) => v)
+    .map(([k, v]) => `${k}: ${v}`);
+
+  const parts = [`(${label} por el cliente) ${safeText(parsed.descripcion) || "sin descripción"}`];
+  if (datos.length) parts.push(`Datos detectados: ${datos.join("; ")}`);
+  return { text: parts.join("\n"), usage: usageEntry("vision", completion) };
+}
+
+module.exports = { describeAttachment, buildVisionPrompt };
@@ -0,0 +1,135 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { safeText } = require("./helpers");
+
+const WEBHOOK_EVENTS = [
+  "lead.qualified",
+  "lead.updated",
+  "conversation.started",
+  "conversation.closed",
+  "conversation.handoff",
+  "conversation.resumed",
+];
+
+function invalidWebhook(message) {
+  const e = new Error(message);
+  e.code = "invalid_webhook";
+  return e;
+}
+
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+function isAllowedUrl(url, allowHttp) {
+  try {
+    const u = new URL(url);
+    return u.protocol === "https:" || (allowHttp && u.protocol === "http:");
+  } catch {
+    return false;
+  }
+}
+
+// --- Webhooks salientes (CRM, Zapier, etc.) ---
+// Registro en Redis (hash zia:webhooks); entregas vía la cola "webhooks" con reintentos.
+function createWebhooks({ redis, queue, allowHttp = false }) {
+  const key = "zia:webhooks";
+  const mem = new Map();
+
+  async function all() {
+    const raws = redis ? Object.values(await redis.hgetall(key)) : [...mem.values()];
+    return raws.map((r) => JSON.parse(r));
+  }
+
+  async function get(id) {
+    const raw = redis ? await redis.hget(key, id) : mem.get(id);
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  // datos inválidos -> error con code "invalid_webhook" (los demás son fallas de Redis)
+  async function register({ url, events, tenant, secret }) {
+    const u = safeText(url);
+    if (!isAllowedUrl(u, allowHttp)) throw invalidWebhook("url inválida (se requiere https)");
+
+    const list = Array.isArray(events) && events.length ? events.map(safeText) : [...WEBHOOK_EVENTS];
+    const unknown = list.filter((e) => e !== "*" && !WEBHOOK_EVENTS.includes(e));
+    if (unknown.length) throw invalidWebhook(`eventos desconocidos: ${unknown.join(", ")}`);
+
+    const hook = {
+      id: crypto.randomUUID(),
+      url: u,
+      events: list,
+      tenant: safeText(tenant), // vacío = todos los tenants
+      secret: safeText(secret) || crypto.randomBytes(24).toString("hex"),
+      created_at: new Date().toISOString(),
+    };
+
+    if (redis) await redis.hset(key, hook.id, JSON.stringify(hook));
+    else mem.set(hook.id, JSON.stringify(hook));
+    return hook;
+  }
+
+  async function remove(id) {
+    if (redis) return (await redis.hdel(key, id)) > 0;
+    return mem.delete(id);
+  }
+
+  // encola una entrega por cada webhook suscrito (no bloquea al caller)
+  async function emit(event, { tenant, data }) {
+    const hooks = (await all()).filter(
+      (h) => (h.events.includes(event) || h.events.includes("*")) && (!h.tenant || h.tenant === tenant)
+    );
+    if (!hooks.length) return 0;
+
+    const body = JSON.stringify({
+      id: crypto.randomUUID(),
+      event,
+      tenant,
+      created_at: new Date().toISOString(),
+      data,
+    });
+
+    for (const h of hooks) {
+      await queue.enqueue("webhook.deliver", { webhook_id: h.id, event, body });
+    }
+    return hooks.length;
+  }
+
+  async function deliver({ webhook_id, event, body }, job) {
+    const hook = await get(webhook_id);
+    if (!hook) {
+      const e = new Error(`webhook ${webhook_id} ya no existe`);
+      e.permanent = true;
+      throw e;
+    }
+
+    const ts = Math.floor(Date.now() / 1000);
+    const resp = await axios.post(hook.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "zia-bot-webhooks/1.0",
+        "X-Zia-Event": event,
+        "X-Zia-Delivery": job.id,
+        "X-Zia-Timestamp": String(ts),
+        "X-Zia-Signature": `sha256=${signPayload(hook.secret, ts, body)}`,
+      },
+      timeout: 15000,
+      maxRedirects: 0,
+      validateStatus: () => true,
+    });
+
+    if (resp.status >= 200 && resp.status < 300) {
+      console.log("[webhooks] delivered ✅", event, "->", hook.url);
+      return;
+    }
+    throw new Error(`webhook ${hook.url} -> ${resp.status}`);
+  }
+
+  function start() {
+    queue.start({ "webhook.deliver": deliver });
+  }
+
+  return { register, remove, list: all, get, emit, start };
+}
+
+module.exports = { createWebhooks, signPayload, WEBHOOK_EVENTS };
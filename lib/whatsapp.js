@@ -0,0 +1,116 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { safeText, toDigits, normalizeBaseUrl } = require("./helpers");
+
+const DEFAULT_GRAPH_API_BASE = "https://graph.facebook.com/v19.0";
+
+// (admin = config del tenant: wa_token, phone_number_id, graph_api_base)
+function graphBase(admin) {
+  return normalizeBaseUrl(admin.graph_api_base || DEFAULT_GRAPH_API_BASE);
+}
+
+function authHeaders(admin) {
+  return { Authorization: `Bearer ${admin.wa_token}` };
+}
+
+// ✅ Meta WhatsApp Cloud API: mensaje de texto
+async function sendWhatsAppText(admin, to, text) {
+  const resp = await axios.post(
+    `${graphBase(admin)}/${admin.phone_number_id}/messages`,
+    {
+      messaging_product: "whatsapp",
+      to: toDigits(to),
+      type: "text",
+      text: { body: safeText(text) },
+    },
+    {
+      headers: { ...authHeaders(admin), "Content-Type": "application/json" },
+      timeout: 20000,
+      validateStatus: () => true,
+    }
+  );
+
+  if (resp.status >= 200 && resp.status < 300) return resp.data;
+
+  console.log("[whatsapp] send ->", resp.status, resp.data);
+  const e = new Error(`Meta send failed: ${resp.status}`);
+  e.status = resp.status;
+  throw e;
+}
+
+// media id -> URL temporal (se descarga con el mismo token)
+async function getMediaUrl(admin, mediaId) {
+  const resp = await axios.get(`${graphBase(admin)}/${encodeURIComponent(mediaId)}`, {
+    headers: authHeaders(admin),
+    timeout: 20000,
+    validateStatus: () => true,
+  });
+
+  if (resp.status >= 200 && resp.status < 300 && resp.data?.url) return safeText(resp.data.url);
+
+  console.log("[whatsapp] media", mediaId, "->", resp.status, resp.data);
+  return "";
+}
+
+// X-Hub-Signature-256: "sha256=" + HMAC(app secret, body crudo)
+function verifySignature(appSecret, rawBody, header) {
+  const expected = `sha256=${crypto.createHmac("sha256", appSecret).update(rawBody || "").digest("hex")}`;
+  const got = Buffer.from(safeText(header));
+  const want = Buffer.from(expected);
+  return got.length === want.length && crypto.timingSafeEqual(got, want);
+}
+
+// texto "visible" de un mensaje entrante (texto, botones, listas, caption de imagen/documento)
+function messageText(m) {
+  if (m.type === "text") return safeText(m.text?.body);
+  if (m.type === "image" || m.type === "document") return safeText(m[m.type]?.caption);
+  if (m.type === "button") return safeText(m.button?.text || m.button?.payload);
+  if (m.type === "interactive") {
+    const i = m.interactive || {};
+    return safeText(i.button_reply?.title || i.list_reply?.title || i.button_reply?.id || i.list_reply?.id);
+  }
+  return "";
+}
+
+// adjunto -> { kind, id } para lib/media.js (stickers/videos no se leen)
+function messageMedia(m) {
+  if (m.type === "audio" || m.type === "voice") return { kind: "audio", id: safeText(m[m.type]?.id) };
+  if (m.type === "image") return { kind: "image", id: safeText(m.image?.id) };
+  if (m.type === "document") return { kind: "document", id: safeText(m.document?.id) };
+  return null;
+}
+
+// payload de webhook de Cloud API -> [{ phone_number_id, from, id, type, text, media, name }]
+// (ignora statuses: entregado/leído)
+function parseWebhook(body) {
+  const out = [];
+  for (const entry of body?.entry || []) {
+    for (const change of entry.changes || []) {
+      const value = change.value || {};
+      const phoneNumberId = safeText(value.metadata?.phone_number_id);
+      const names = Object.fromEntries((value.contacts || []).map((c) => [safeText(c.wa_id), safeText(c.profile?.name)]));
+
+      for (const m of value.messages || []) {
+        out.push({
+          phone_number_id: phoneNumberId,
+          from: safeText(m.from),
+          id: safeText(m.id),
+          type: safeText(m.type),
+          text: messageText(m),
+          media: messageMedia(m),
+          name: names[safeText(m.from)] || "",
+        });
+      }
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  DEFAULT_GRAPH_API_BASE,
+  sendWhatsAppText,
+  getMediaUrl,
+  authHeaders,
+  verifySignature,
+  parseWebhook,
+};
@@ -0,0 +1,139 @@
+/* Zia Bot — widget de chat web
+ * <script src="https://TU-SERVIDOR/web/widget.js" data-tenant="default" data-title="Zia Lab" async></script>
+ * data-tenant   tenant (default: "default")
+ * data-title    título de la ventana
+ * data-color    color principal (default: #6d28d9)
+ * data-greeting primer mensaje mostrado (no se envía al bot)
+ */
+(function () {
+  "use strict";
+
+  var script = document.currentScript;
+  if (!script || window.__ziaWidget) return;
+  window.__ziaWidget = true;
+
+  var base = new URL(script.src).origin;
+  var tenant = script.getAttribute("data-tenant") || "default";
+  var title = script.getAttribute("data-title") || "Zia Bot";
+  var color = script.getAttribute("data-color") || "#6d28d9";
+  var greeting = script.getAttribute("data-greeting") || "¡Hola! 👋 ¿En qué te puedo ayudar?";
+  var chatUrl = base + "/web/" + encodeURIComponent(tenant) + "/chat";
+  var historyUrl = base + "/web/" + encodeURIComponent(tenant) + "/history";
+  var storeKey = "zia_session_" + tenant;
+
+  var sessionId = "";
+  try {
+    sessionId = localStorage.getItem(storeKey) || "";
+  } catch (e) {}
+
+  // --- UI ---
+  var root = document.createElement("div");
+  var shadow = root.attachShadow ? root.attachShadow({ mode: "open" }) : root;
+  document.body.appendChild(root);
+
+  shadow.innerHTML =
+    "<style>" +
+    ":host,*{box-sizing:border-box;font-family:system-ui,-apple-system,Segoe UI,Roboto,sans-serif}" +
+    ".btn{position:fixed;right:20px;bottom:20px;width:56px;height:56px;border-radius:50%;border:0;cursor:pointer;" +
+    "background:" + color + ";color:#fff;font-size:26px;box-shadow:0 4px 14px rgba(0,0,0,.25);z-index:2147483000}" +
+    ".box{position:fixed;right:20px;bottom:88px;width:340px;max-width:calc(100vw - 40px);height:460px;max-height:calc(100vh - 120px);" +
+    "display:none;flex-direction:column;background:#fff;border-radius:14px;overflow:hidden;box-shadow:0 8px 30px rgba(0,0,0,.25);z-index:2147483000}" +
+    ".box.open{display:flex}" +
+    ".head{background:" + color + ";color:#fff;padding:12px 14px;font-weight:600}" +
+    ".msgs{flex:1;overflow-y:auto;padding:12px;background:#f6f6f8}" +
+    ".m{max-width:85%;margin:6px 0;padding:8px 11px;border-radius:12px;white-space:pre-wrap;word-wrap:break-word;font-size:14px;line-height:1.35}" +
+    ".bot{background:#fff;color:#222;border:1px solid #e5e5ea}" +
+    ".user{background:" + color + ";color:#fff;margin-left:auto}" +
+    ".typing{opacity:.6;font-style:italic}" +
+    "form{display:flex;border-top:1px solid #e5e5ea}" +
+    "input{flex:1;border:0;padding:12px;font-size:14px;outline:none}" +
+    "form button{border:0;background:none;color:" + color + ";font-weight:600;padding:0 14px;cursor:pointer}" +
+    "</style>" +
+    '<button class="btn" aria-label="Chat">💬</button>' +
+    '<div class="box" role="dialog"><div class="head"></div><div class="msgs"></div>' +
+    '<form><input maxlength="1000" placeholder="Escribe tu mensaje…" autocomplete="off"><button type="submit">Enviar</button></form></div>';
+
+  var btn = shadow.querySelector(".btn");
+  var box = shadow.querySelector(".box");
+  var msgs = shadow.querySelector(".msgs");
+  var form = shadow.querySelector("form");
+  var input = shadow.querySelector("input");
+  shadow.querySelector(".head").textContent = title;
+
+  function add(text, who) {
+    var el = document.createElement("div");
+    el.className = "m " + who;
+    el.textContent = text;
+    msgs.appendChild(el);
+    msgs.scrollTop = msgs.scrollHeight;
+    return el;
+  }
+
+  var loaded = false;
+
+  function loadHistory() {
+    if (loaded) return;
+    loaded = true;
+    add(greeting, "bot");
+    if (!sessionId) return;
+
+    fetch(historyUrl + "?session_id=" + encodeURIComponent(sessionId))
+      .then(function (r) {
+        return r.ok ? r.json() : { messages: [] };
+      })
+      .then(function (data) {
+        (data.messages || []).forEach(function (m) {
+          add(m.content, m.role === "user" ? "user" : "bot");
+        });
+      })
+      .catch(function () {});
+  }
+
+  btn.addEventListener("click", function () {
+    box.classList.toggle("open");
+    if (box.classList.contains("open")) {
+      loadHistory();
+      input.focus();
+    }
+  });
+
+  var sending = false;
+
+  form.addEventListener("submit", function (ev) {
+    ev.preventDefault();
+    var text = input.value.trim();
+    if (!text || sending) return;
+
+    sending = true;
+    input.value = "";
+    add(text, "user");
+    var typing = add("escribiendo…", "bot typing");
+
+    fetch(chatUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ session_id: sessionId || undefined, text: text, lang: navigator.language || "" }),
+    })
+      .then(function (r) {
+        if (r.status === 429) return { reply: "Vas muy rápido 😅 Espera un momentito y me escribes de nuevo." };
+        return r.json();
+      })
+      .then(function (data) {
+        if (data.session_id && data.session_id !== sessionId) {
+          sessionId = data.session_id;
+          try {
+            localStorage.setItem(storeKey, sessionId);
+          } catch (e) {}
+        }
+        typing.remove();
+        add(data.reply || "…", "bot");
+      })
+      .catch(function () {
+        typing.remove();
+        add("No pude conectarme 😅 Intenta de nuevo en un momento.", "bot");
+      })
+      .then(function () {
+        sending = false;
+      });
+  });
+})();
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Exporta los leads guardados a CSV o NDJSON.
+// Uso: node scripts/export-leads.js --format csv --from 2024-05-01 --to 2024-05-31 [--tenant x] [--status new] [--out leads.csv]
+const fs = require("fs");
+const path = require("path");
+const { createLeadStore } = require("../lib/leads");
+const { EXPORT_FORMATS, writeLeads } = require("../lib/export");
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) continue;
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith("--")) {
+      args[a.slice(2)] = true;
+    } else {
+      args[a.slice(2)] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const format = String(args.format || "csv").toLowerCase();
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    console.error(`[export] formato inválido "${format}" (usa: ${EXPORT_FORMATS.join(", ")})`);
+    process.exit(1);
+  }
+
+  const dataDir = args.data || process.env.DATA_DIR || path.join(__dirname, "..", "data");
+  const file = path.join(dataDir, "leads.json");
+  if (!fs.existsSync(file)) {
+    console.error("[export] no existe", file);
+    process.exit(1);
+  }
+
+  const leads = createLeadStore({ file }).list({
+    tenant: args.tenant,
+    status: args.status,
+    sector: args.sector,
+    from: args.from,
+    to: args.to,
+  });
+
+  const out = args.out ? fs.createWriteStream(args.out) : process.stdout;
+  await writeLeads(out, leads, format);
+
+  if (args.out) {
+    out.end();
+    console.error(`[export] ${leads.length} leads -> ${args.out}`);
+  }
+}
+
+main().catch((e) => {
+  console.error("[export] ERROR:", e?.stack || e);
+  process.exit(1);
+});
@@ -1,13 +1,50 @@
 const express = require("express");
 const Redis = require("ioredis");
-const OpenAI = require("openai");
-const axios = require("axios");
 const fs = require("fs");
-const os = require("os");
 const path = require("path");
+const { safeText, splitList, tryParseJson } = require("./lib/helpers");
+const { loadFlows, defaultMemory } = require("./lib/flows");
+const { loadTenants } = require("./lib/tenants");
+const { createLeadStore } = require("./lib/leads");
+const { createUsage, usageEntry } = require("./lib/usage");
+const { createTranscriptStore } = require("./lib/transcripts");
+const { createContactLocks } = require("./lib/locks");
+const { createKnowledgeBase } = require("./lib/knowledge");
+const { createScheduler, createCalendarRouter } = require("./lib/scheduler");
+const { createAdminRouter } = require("./lib/admin");
+const { createQueue } = require("./lib/queue");
+const { createWebhooks } = require("./lib/webhooks");
+const { planNotifyJobs, deliverToChannels } = require("./lib/notifiers");
+const { configureManyChat } = require("./lib/manychat");
+const { createManyChatSync, planSync } = require("./lib/manychat-sync");
+const { createEngine } = require("./lib/engine");
+const { withMedia } = require("./lib/media");
+const { describeAttachment } = require("./lib/vision");
+const {
+  createLLM,
+  createOpenAIProvider,
+  createAzureProvider,
+  createCompatibleProvider,
+  createMockProvider,
+} = require("./lib/llm");
+const { normalizeLang } = require("./lib/i18n");
+const { createManyChatRouter } = require("./lib/channels/manychat");
+const { createWhatsAppRouter } = require("./lib/channels/whatsapp");
+const { createTelegramRouter } = require("./lib/channels/telegram");
+const { createWebChatRouter } = require("./lib/channels/web");
 
 const app = express();
-app.use(express.json({ limit: "1mb" }));
+// detrás de proxy (Render, Railway...): IP real para el límite del chat web
+if (process.env.TRUST_PROXY === "1") app.set("trust proxy", 1);
+app.use(
+  express.json({
+    limit: "1mb",
+    // body crudo para validar la firma de Meta (X-Hub-Signature-256)
+    verify: (req, _res, buf) => {
+      if (req.originalUrl.startsWith("/wa/")) req.rawBody = buf;
+    },
+  })
+);
 
 // ENV
 const PORT = process.env.PORT || 3000;
@@ -16,28 +53,129 @@ const OPENAI_API_KEY = process.env.OPENAI_API_KEY || "";
 const MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
 const REDIS_URL_RAW = process.env.REDIS_URL || "";
 const TRANSCRIBE_MODEL = process.env.OPENAI_TRANSCRIBE_MODEL || "whisper-1";
-
-// ✅ ManyChat Admin Notify (Opción A)
+// verbose_json (incluye el idioma detectado) solo lo acepta whisper
+const TRANSCRIBE_VERBOSE = TRANSCRIBE_MODEL.startsWith("whisper");
+const MEDIA_MAX_BYTES = Number(process.env.MEDIA_MAX_MB || 16) * 1024 * 1024; // notas de voz
+// imágenes/PDF (tarjetas, listas de precios, capturas): modelo con visión
+const VISION_MODEL = process.env.OPENAI_VISION_MODEL || MODEL;
+
+// ✅ Proveedor del modelo: openai | azure | compatible (Ollama/llama.cpp) | mock, con respaldo opcional
+const LLM_PROVIDER = process.env.LLM_PROVIDER || "openai";
+const LLM_FALLBACK = process.env.LLM_FALLBACK || "";
+const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS || 20000);
+const AZURE_OPENAI_API_KEY = process.env.AZURE_OPENAI_API_KEY || "";
+const AZURE_OPENAI_ENDPOINT = process.env.AZURE_OPENAI_ENDPOINT || "";
+const AZURE_OPENAI_API_VERSION = process.env.AZURE_OPENAI_API_VERSION || "2024-06-01";
+const AZURE_OPENAI_DEPLOYMENT = process.env.AZURE_OPENAI_DEPLOYMENT || "";
+const LLM_BASE_URL = process.env.LLM_BASE_URL || ""; // ej. http://localhost:11434/v1
+const LLM_API_KEY = process.env.LLM_API_KEY || "";
+const LLM_MODEL = process.env.LLM_MODEL || ""; // ej. llama3.1
+const LLM_JSON_MODE = process.env.LLM_JSON_MODE !== "0";
+const MOCK_LLM_FILE = process.env.MOCK_LLM_FILE || ""; // JSON: { responses: [...], transcript }
+// precios USD por modelo para el costo estimado: {"mi-modelo":{"input":0.5,"output":1.5},"whisper-1":{"per_minute":0.006}}
+const LLM_PRICES = process.env.LLM_PRICES || "";
+// ✅ mensajes seguidos del mismo contacto (3 textos rápidos, audio + texto) en un solo turno; 0 = sin esperar
+const MESSAGE_DEBOUNCE_MS = Number(process.env.MESSAGE_DEBOUNCE_MS || 0);
+// ✅ handoff: pausa automática si el contacto pide una persona o se frustra (HANDOFF_AUTO=0 la apaga)
+// HANDOFF_REPLY: respuesta mientras atiende una persona (sin definir = texto por idioma; vacío = no responder)
+const HANDOFF_AUTO = process.env.HANDOFF_AUTO !== "0";
+const HANDOFF_REPLY = process.env.HANDOFF_REPLY ?? null;
+const HANDOFF_PAUSE_MINUTES = Number(process.env.HANDOFF_PAUSE_MINUTES ?? 24 * 60);
+// idioma por defecto (es|en|pt) para contactos sin idioma detectado; vacío = el del flujo
+const DEFAULT_LANG = normalizeLang(process.env.DEFAULT_LANG);
+
+// ✅ Flujos de calificación (flows/*.json)
+const FLOWS_DIR = process.env.FLOWS_DIR || path.join(__dirname, "flows");
+const DEFAULT_FLOW = process.env.FLOW || "estandar";
+
+// ✅ Base de conocimiento (servicios, FAQs, casos): *.md / *.json; <dir>/<tenant>/ = solo ese tenant
+const KNOWLEDGE_DIR = process.env.KNOWLEDGE_DIR || path.join(__dirname, "knowledge");
+
+// ✅ Multi-tenant (opcional): JSON con cuentas/campañas; sin archivo solo existe "default" (ENV)
+const TENANTS_FILE = process.env.TENANTS_FILE || "";
+
+// ✅ Datos locales (leads) + API admin
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN || "";
+// ✅ archivo completo de conversaciones (JSONL por contacto); se borran tras N días sin actividad (0 = nunca)
+const TRANSCRIPTS_DIR = process.env.TRANSCRIPTS_DIR || path.join(DATA_DIR, "transcripts");
+const TRANSCRIPTS_RETENTION_DAYS = Number(process.env.TRANSCRIPTS_RETENTION_DAYS ?? 365);
+
+// ✅ Agenda de llamadas (archivo local, sin Google Calendar): ventanas por día en la zona del negocio
+// SCHEDULE_WINDOWS='{"mon":"09:00-12:00,14:00-18:00","tue":"09:00-12:00"}' (vacío = agenda apagada)
+const SCHEDULE_WINDOWS = process.env.SCHEDULE_WINDOWS || "";
+const SCHEDULE_TIMEZONE = process.env.SCHEDULE_TIMEZONE || "";
+const SCHEDULE_SLOT_MINUTES = Number(process.env.SCHEDULE_SLOT_MINUTES || 30);
+const SCHEDULE_NOTICE_MINUTES = Number(process.env.SCHEDULE_NOTICE_MINUTES ?? 120);
+const SCHEDULE_DAYS_AHEAD = Number(process.env.SCHEDULE_DAYS_AHEAD || 7);
+// URL pública del servidor (enlace .ics de la invitación), ej. https://zia-bot.onrender.com
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || "";
+
+// ✅ Webhooks salientes (lead.qualified/updated, conversation.started/closed/handoff/resumed)
+const WEBHOOKS_ALLOW_HTTP = process.env.WEBHOOKS_ALLOW_HTTP === "1"; // solo dev
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8);
+const NOTIFY_MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS || 10);
+
+// ✅ Avisos al admin: canales en orden (NOTIFY_CHANNELS) y modo fallback|all (NOTIFY_MODE)
+const NOTIFY_CHANNELS = process.env.NOTIFY_CHANNELS || "manychat,meta";
+const NOTIFY_MODE = process.env.NOTIFY_MODE || "fallback";
+
+// ✅ ManyChat Admin Notify (Opción A) — ADMIN_SUBSCRIBER_ID acepta varios separados por coma
 const MANYCHAT_API_KEY = process.env.MANYCHAT_API_KEY || "";
 const ADMIN_SUBSCRIBER_ID = process.env.ADMIN_SUBSCRIBER_ID || "";
 const MANYCHAT_API_BASE = process.env.MANYCHAT_API_BASE || "https://api.manychat.com";
+// (Opcional) contenido enriquecido del aviso: {"buttons":[{"caption":"Abrir chat","url":"{{wa_link}}"}],"tags":["lead_nuevo"],"flow_ns":"..."}
+const MANYCHAT_CONTENT = process.env.MANYCHAT_CONTENT || "";
+
+// ✅ (Opcional) escribir lo calificado en el subscriber de ManyChat (custom fields + tags)
+// MANYCHAT_FIELD_MAP="sector:zia_sector,servicio:zia_servicio,redes:zia_redes" (vacío = no escribe campos)
+const MANYCHAT_FIELD_MAP = process.env.MANYCHAT_FIELD_MAP || "";
+const MANYCHAT_LEAD_TAGS = process.env.MANYCHAT_LEAD_TAGS ?? "lead_calificado";
+const MANYCHAT_SYNC_MAX_ATTEMPTS = Number(process.env.MANYCHAT_SYNC_MAX_ATTEMPTS || 8);
 
-// ✅ (Opcional) Fallback a Meta WhatsApp Cloud API
+// ✅ (Opcional) Meta WhatsApp Cloud API — ADMIN_PHONE acepta varios
 const WA_TOKEN = process.env.WA_TOKEN || "";
 const PHONE_NUMBER_ID = process.env.PHONE_NUMBER_ID || "";
 const ADMIN_PHONE = process.env.ADMIN_PHONE || "";
-
-// --- Helpers ---
-function safeText(x) {
-  return String(x ?? "").trim();
-}
-
-function mustAuth(req) {
-  // Si no configuras token, no exige auth (modo dev)
-  if (!MC_AUTH_TOKEN) return true;
-  return req.headers.authorization === `Bearer ${MC_AUTH_TOKEN}`;
+// ✅ (Opcional) bot directo por Cloud API (/wa/webhook): el mismo número PHONE_NUMBER_ID recibe y responde
+const WA_VERIFY_TOKEN = process.env.WA_VERIFY_TOKEN || "";
+const WA_APP_SECRET = process.env.WA_APP_SECRET || ""; // valida X-Hub-Signature-256 (sin él /wa/webhook rechaza todo)
+const WA_GRAPH_API_BASE = process.env.WA_GRAPH_API_BASE || "https://graph.facebook.com/v19.0";
+
+// ✅ (Opcional) Email SMTP, Telegram, Slack y webhook HTTP genérico
+const SMTP = {
+  smtp_host: process.env.SMTP_HOST || "",
+  smtp_port: process.env.SMTP_PORT || "587",
+  smtp_secure: process.env.SMTP_SECURE || "",
+  smtp_user: process.env.SMTP_USER || "",
+  smtp_pass: process.env.SMTP_PASS || "",
+  smtp_from: process.env.SMTP_FROM || "",
+};
+const ADMIN_EMAILS = process.env.ADMIN_EMAILS || "";
+const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || "";
+const TELEGRAM_CHAT_IDS = process.env.TELEGRAM_CHAT_IDS || "";
+const SLACK_WEBHOOK_URLS = process.env.SLACK_WEBHOOK_URLS || "";
+const NOTIFY_WEBHOOK_URLS = process.env.NOTIFY_WEBHOOK_URLS || "";
+
+// ✅ (Opcional) canal Telegram (/tg/webhook): mismo TELEGRAM_BOT_TOKEN + secret_token de setWebhook (sin él, el canal queda apagado)
+const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET || "";
+const TELEGRAM_API_BASE = process.env.TELEGRAM_API_BASE || "https://api.telegram.org";
+
+// ✅ (Opcional) chat web (/web/chat + /web/widget.js): orígenes permitidos, "*" = cualquiera
+const WEB_CHAT_ORIGINS = process.env.WEB_CHAT_ORIGINS || "";
+
+// plantillas por canal: NOTIFY_TEMPLATE_TELEGRAM="{{summary}}", NOTIFY_EMAIL_SUBJECT="..."
+function templatesFromEnv() {
+  const templates = {};
+  for (const ch of ["manychat", "meta", "email", "telegram", "slack", "webhook"]) {
+    const t = process.env[`NOTIFY_TEMPLATE_${ch.toUpperCase()}`];
+    if (t) templates[ch] = t;
+  }
+  if (process.env.NOTIFY_EMAIL_SUBJECT) templates.email_subject = process.env.NOTIFY_EMAIL_SUBJECT;
+  return templates;
 }
 
+// --- Helpers ---
 function normalizeRedisUrl(url) {
   const u = safeText(url);
   if (!u) return "";
@@ -45,383 +183,60 @@ function normalizeRedisUrl(url) {
   return u;
 }
 
-function clampHistory(history, max = 10) {
-  if (!Array.isArray(history)) return [];
-  return history.slice(-max);
-}
-
-// ✅ detectar @ / links / nombres raros sin “rechazarlos”
-function looksLikeLinkOrHandle(t) {
-  const s = safeText(t);
-  const low = s.toLowerCase();
-  return (
-    s.includes("@") ||
-    low.includes("http") ||
-    low.includes("www.") ||
-    low.includes(".com") ||
-    low.includes(".do") ||
-    low.includes("instagram") ||
-    low.includes("tiktok") ||
-    low.includes("wa.me")
-  );
-}
-
-function looksLikeBusinessName(t) {
-  const s = safeText(t);
-  if (s.length < 3) return false;
-
-  const low = s.toLowerCase();
-
-  const blocked = new Set([
-    "hola",
-    "buenas",
-    "buenos dias",
-    "buenas tardes",
-    "buenas noches",
-    "ok",
-    "okay",
-    "gracias",
-    "mañana",
-    "perfecto",
-    "listo",
-    "si",
-    "sí",
-    "no",
-    "ambos",
-    "ambas",
-    "redes",
-    "bot",
-    "ventas",
-    "leads",
-    "reservas",
-    "posicionamiento",
-    "👍",
-    "...",
-    "..",
-    ".",
-  ]);
-
-  if (blocked.has(low)) return false;
-  return true;
-}
-
-// ✅ detectar si user_text es link de audio
-function looksLikeAudioUrl(t) {
-  const s = safeText(t).toLowerCase();
-  if (!s) return false;
-  if (!s.startsWith("http")) return false;
-  const audioExt = [".ogg", ".opus", ".mp3", ".m4a", ".wav", ".webm", ".aac"];
-  return audioExt.some((ext) => s.includes(ext));
-}
-
-// ✅ helpers para buscar URLs dentro de objetos/string JSON
-function tryParseJson(x) {
-  if (!x) return null;
-  if (typeof x === "object") return x;
-  const s = safeText(x);
-  if (!s) return null;
-  try {
-    return JSON.parse(s);
-  } catch {
-    return null;
-  }
+// --- Flows ---
+const flows = loadFlows(FLOWS_DIR);
+if (!flows.has(DEFAULT_FLOW)) {
+  throw new Error(`[flows] FLOW="${DEFAULT_FLOW}" no existe en ${FLOWS_DIR}`);
 }
-
-function findFirstUrlDeep(input) {
-  const seen = new Set();
-
-  function walk(x) {
-    if (x == null) return "";
-    if (typeof x === "string") {
-      const s = x.trim();
-      const m = s.match(/https?:\/\/[^\s"']+/i);
-      return m ? m[0] : "";
-    }
-    if (typeof x !== "object") return "";
-
-    if (seen.has(x)) return "";
-    seen.add(x);
-
-    if (Array.isArray(x)) {
-      for (const item of x) {
-        const u = walk(item);
-        if (u) return u;
-      }
-      return "";
-    }
-
-    for (const k of Object.keys(x)) {
-      const u = walk(x[k]);
-      if (u) return u;
-    }
-    return "";
-  }
-
-  return walk(input);
-}
-
-// ✅ extraer URL de audio si viene en otros campos
-function getAudioUrl(body) {
-  if (!body || typeof body !== "object") return "";
-
-  const direct =
-    body.voice_url ||
-    body.audio_url ||
-    body.media_url ||
-    body.attachment_url ||
-    body.file_url ||
-    body.voice ||
-    body.audio ||
-    "";
-
-  if (direct) {
-    const parsed = tryParseJson(direct);
-    if (parsed) {
-      const u = findFirstUrlDeep(parsed);
-      if (u) return safeText(u);
-    }
-    const u2 = findFirstUrlDeep(String(direct));
-    if (u2) return safeText(u2);
-  }
-
-  const a1 = body.attachments?.[0]?.url || body.attachments?.[0]?.payload?.url;
-  if (a1) return safeText(a1);
-
-  const a2 = body.message?.attachments?.[0]?.url || body.message?.attachments?.[0]?.payload?.url;
-  if (a2) return safeText(a2);
-
-  const fcd = body.full_contact_data;
-  if (fcd) {
-    const parsed = tryParseJson(fcd) || fcd;
-    const u = findFirstUrlDeep(parsed);
-    if (u) return safeText(u);
-  }
-
-  return "";
-}
-
-function extFromContentType(ct) {
-  const c = safeText(ct).toLowerCase();
-  if (c.includes("audio/ogg")) return "ogg";
-  if (c.includes("audio/opus")) return "ogg";
-  if (c.includes("audio/mpeg")) return "mp3";
-  if (c.includes("audio/mp3")) return "mp3";
-  if (c.includes("audio/mp4")) return "m4a";
-  if (c.includes("audio/x-m4a")) return "m4a";
-  if (c.includes("audio/wav")) return "wav";
-  if (c.includes("audio/webm")) return "webm";
-  return "ogg";
-}
-
-// ✅ transcribir audio desde URL
-async function transcribeAudioFromUrl(url, openaiClient) {
-  const u = safeText(url);
-  if (!u) return "";
-
-  try {
-    const resp = await axios.get(u, {
-      responseType: "arraybuffer",
-      maxRedirects: 5,
-      timeout: 20000,
-      headers: { "User-Agent": "Mozilla/5.0" },
-    });
-
-    const ct = resp.headers?.["content-type"] || "";
-    const ext = extFromContentType(ct);
-
-    const tmpPath = path.join(os.tmpdir(), `zia-voice-${Date.now()}.${ext}`);
-    fs.writeFileSync(tmpPath, Buffer.from(resp.data));
-
-    try {
-      const transcription = await openaiClient.audio.transcriptions.create({
-        file: fs.createReadStream(tmpPath),
-        model: TRANSCRIBE_MODEL,
-        language: "es",
-      });
-
-      return safeText(transcription?.text);
-    } finally {
-      fs.unlink(tmpPath, () => {});
-    }
-  } catch (err) {
-    console.error("[transcribe] ERROR:", err?.response?.status, err?.message || err);
-    return "";
-  }
-}
-
-// ✅ parser robusto para JSON del modelo
-function extractFirstJsonObject(raw) {
-  const s = safeText(raw);
-  if (!s) return "";
-  const noFences = s.replace(/```json|```/gi, "").trim();
-  const first = noFences.indexOf("{");
-  const last = noFences.lastIndexOf("}");
-  if (first === -1 || last === -1 || last <= first) return "";
-  return noFences.slice(first, last + 1);
-}
-
-function safeParseModelJson(raw) {
-  const s = safeText(raw);
-  if (!s) return null;
-
-  try {
-    return JSON.parse(s);
-  } catch {}
-
-  const candidate = extractFirstJsonObject(s);
-  if (candidate) {
-    try {
-      return JSON.parse(candidate);
-    } catch {}
-  }
-
-  return null;
-}
-
-// ✅ NUEVO: ManyChat notify helpers
-function canNotifyAdminViaManyChat() {
-  return !!(MANYCHAT_API_KEY && ADMIN_SUBSCRIBER_ID);
-}
-
-function canNotifyAdminViaMeta() {
-  return !!(WA_TOKEN && PHONE_NUMBER_ID && ADMIN_PHONE);
-}
-
-function toDigits(x) {
-  return safeText(x).replace(/[^\d]/g, "");
-}
-
-function buildLeadSummary({ contactId, sector, servicio, redes }) {
-  const waDigits = toDigits(contactId);
-  const waLink = waDigits ? `https://wa.me/${waDigits}` : "";
-
-  return (
-    `🆕 Nuevo lead (Zia Bot)\n` +
-    `📌 Negocio: ${safeText(sector) || "-"}\n` +
-    `🤖 Automatizar: ${safeText(servicio) || "-"}\n` +
-    `📅 Citas/semana: ${safeText(redes) || "-"}\n` +
-    `👤 WhatsApp: ${waDigits || safeText(contactId) || "-"}\n` +
-    (waLink ? `🔗 ${waLink}\n` : "") +
-    `🕒 ${new Date().toLocaleString()}`
-  );
-}
-
-function normalizeBaseUrl(base) {
-  const b = safeText(base);
-  if (!b) return "";
-  return b.endsWith("/") ? b.slice(0, -1) : b;
-}
-
-async function postManyChat(pathname, payload) {
-  const base = normalizeBaseUrl(MANYCHAT_API_BASE);
-  const url = `${base}${pathname}`;
-
-  return axios.post(url, payload, {
-    headers: {
-      Authorization: `Bearer ${MANYCHAT_API_KEY}`,
-      "Content-Type": "application/json",
-      Accept: "application/json",
+console.log("[flows] cargados:", [...flows.keys()].join(", "), "| default:", DEFAULT_FLOW);
+
+// --- Tenants ---
+const tenants = loadTenants({
+  file: TENANTS_FILE,
+  flows,
+  defaults: {
+    token: MC_AUTH_TOKEN,
+    flow: DEFAULT_FLOW,
+    lang: DEFAULT_LANG,
+    model: { name: MODEL, temperature: 0.2, max_tokens: 260, vision: VISION_MODEL },
+    handoff: { auto: HANDOFF_AUTO, reply: HANDOFF_REPLY, pause_minutes: HANDOFF_PAUSE_MINUTES },
+    schedule: {
+      windows: tryParseJson(SCHEDULE_WINDOWS) || {},
+      timezone: SCHEDULE_TIMEZONE,
+      slot_minutes: SCHEDULE_SLOT_MINUTES,
+      notice_minutes: SCHEDULE_NOTICE_MINUTES,
+      days_ahead: SCHEDULE_DAYS_AHEAD,
     },
-    timeout: 20000,
-    validateStatus: () => true, // manejamos nosotros
-  });
-}
-
-// ✅ NUEVO: intenta varios endpoints/payloads (porque ManyChat a veces cambia rutas por canal)
-async function sendAdminViaManyChat(text) {
-  const sid = Number(ADMIN_SUBSCRIBER_ID);
-  const msg = safeText(text);
-
-  const tries = [
-    // WhatsApp (algunas cuentas lo tienen)
-    { path: "/whatsapp/sending/sendText", payload: { subscriber_id: sid, message: msg } },
-    { path: "/whatsapp/sending/sendContent", payload: { subscriber_id: sid, message: msg } },
-
-    // Variantes "wa"
-    { path: "/wa/sending/sendText", payload: { subscriber_id: sid, message: msg } },
-    { path: "/wa/sending/sendContent", payload: { subscriber_id: sid, message: msg } },
-
-    // "fb" (muy común en la API pública; muchas veces funciona cross-channel con subscriber_id)
-    { path: "/fb/sending/sendContent", payload: { subscriber_id: sid, message: msg } },
-    { path: "/fb/sending/sendText", payload: { subscriber_id: sid, message: msg } },
-
-    // Algunas cuentas usan /sending directamente
-    { path: "/sending/sendContent", payload: { subscriber_id: sid, message: msg } },
-    { path: "/sending/sendText", payload: { subscriber_id: sid, message: msg } },
-  ];
-
-  let lastErr = null;
-
-  for (const t of tries) {
-    try {
-      console.log(`[admin_notify] try ${t.path}`);
-      const resp = await postManyChat(t.path, t.payload);
-
-      if (resp.status >= 200 && resp.status < 300) {
-        console.log("[admin_notify] sent via ManyChat ✅", t.path);
-        return true;
-      }
-
-      // ManyChat a veces devuelve JSON error; a veces HTML 404
-      console.log(
-        `[admin_notify] ${t.path} -> ${resp.status}`,
-        typeof resp.data === "string" ? resp.data.slice(0, 120) : resp.data
-      );
-
-      lastErr = new Error(`ManyChat ${t.path} -> ${resp.status}`);
-    } catch (e) {
-      lastErr = e;
-      console.log("[admin_notify] fail", t.path, e?.response?.status || "", e?.message || e);
-    }
-  }
-
-  if (lastErr) throw lastErr;
-  throw new Error("ManyChat notify failed");
-}
-
-// ✅ (Opcional) fallback Meta Cloud API
-async function sendAdminViaMeta(text) {
-  const url = `https://graph.facebook.com/v19.0/${PHONE_NUMBER_ID}/messages`;
-  const body = safeText(text);
-
-  const resp = await axios.post(
-    url,
-    {
-      messaging_product: "whatsapp",
-      to: toDigits(ADMIN_PHONE),
-      type: "text",
-      text: { body },
+    admin: {
+      notify_channels: NOTIFY_CHANNELS,
+      notify_mode: NOTIFY_MODE,
+      templates: templatesFromEnv(),
+      manychat_api_key: MANYCHAT_API_KEY,
+      admin_subscriber_id: ADMIN_SUBSCRIBER_ID,
+      manychat_api_base: MANYCHAT_API_BASE,
+      manychat_content: tryParseJson(MANYCHAT_CONTENT) || undefined,
+      manychat_fields: MANYCHAT_FIELD_MAP,
+      manychat_lead_tags: MANYCHAT_LEAD_TAGS,
+      wa_token: WA_TOKEN,
+      phone_number_id: PHONE_NUMBER_ID,
+      admin_phone: ADMIN_PHONE,
+      graph_api_base: WA_GRAPH_API_BASE,
+      ...SMTP,
+      admin_emails: ADMIN_EMAILS,
+      telegram_bot_token: TELEGRAM_BOT_TOKEN,
+      telegram_chat_ids: TELEGRAM_CHAT_IDS,
+      telegram_webhook_secret: TELEGRAM_WEBHOOK_SECRET,
+      telegram_api_base: TELEGRAM_API_BASE,
+      web_chat_origins: WEB_CHAT_ORIGINS,
+      slack_webhook_urls: SLACK_WEBHOOK_URLS,
+      notify_webhook_urls: NOTIFY_WEBHOOK_URLS,
     },
-    {
-      headers: {
-        Authorization: `Bearer ${WA_TOKEN}`,
-        "Content-Type": "application/json",
-      },
-      timeout: 20000,
-      validateStatus: () => true,
-    }
-  );
-
-  if (resp.status >= 200 && resp.status < 300) return true;
-
-  console.log("[admin_notify][meta] ->", resp.status, resp.data);
-  throw new Error(`Meta send failed: ${resp.status}`);
-}
+  },
+});
+console.log("[tenants] cargados:", [...tenants.keys()].join(", "));
 
-// --- Memory ---
-function defaultMemory() {
-  return {
-    sector: "",
-    servicio: "",
-    redes: "",
-    objetivo: "",
-    cerrado: false,
-    cierre_enviado: false,
-    pending: "sector",
-    history: [],
-    admin_notified: false, // ✅ evitar enviar el aviso 2 veces
-  };
-}
+// --- Base de conocimiento ---
+const knowledge = createKnowledgeBase({ dir: KNOWLEDGE_DIR, tenants });
 
 // --- Redis ---
 const redisUrl = normalizeRedisUrl(REDIS_URL_RAW);
@@ -433,289 +248,250 @@ const redis = redisUrl
     })
   : null;
 
-async function loadMemory(contactId) {
-  if (!redis) return defaultMemory();
-  const key = `zia:${contactId}`;
+function memoryKey(tenant, contactId) {
+  return `${tenant.redis_prefix}:${contactId}`;
+}
+
+async function loadMemory(tenant, contactId, flow) {
+  if (!redis) return defaultMemory(flow);
+  const key = memoryKey(tenant, contactId);
   const raw = await redis.get(key);
-  const mem = raw ? JSON.parse(raw) : defaultMemory();
+  // completar campos que falten (memoria guardada con otro flujo / versión)
+  const mem = { ...defaultMemory(flow), ...(raw ? JSON.parse(raw) : {}) };
   if (typeof mem.admin_notified !== "boolean") mem.admin_notified = false;
   return mem;
 }
 
-async function saveMemory(contactId, mem) {
+async function saveMemory(tenant, contactId, mem) {
   if (!redis) return;
-  const key = `zia:${contactId}`;
+  const key = memoryKey(tenant, contactId);
   await redis.set(key, JSON.stringify(mem), "EX", 60 * 60 * 24 * 7);
 }
 
-// --- OpenAI ---
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
-
-function buildSystemPrompt() {
-  return `
-Eres Zia Bot, el asistente comercial de Zia Lab Agency. Hablas como una persona real, cercana y profesional, con tono relajado-formal en español natural (RD si aplica).
-
-REGLAS CLAVE
-- No repitas el saludo si ya existe conversación previa (si el historial ya tiene mensajes del bot).
-- Mensajes cortos (máx. 2-3 líneas).
-- Una sola pregunta por mensaje.
-- Emojis variados y naturales (😊✨🚀🙌🧡).
-- No uses etiquetas tipo “[CLIENTE]”.
-- No hagas propuestas largas, diagnósticos extensos ni bullets.
-- No inventes datos si el usuario no lo dijo.
-
-OBJETIVO
-Capturar el lead con SOLO 3 preguntas. No envíes demo, no hables de precios, no menciones descuentos.
-
-PREGUNTAS (en este orden, SIN botones; incluye ejemplos en el mismo mensaje)
-1) (sector) Tipo de negocio:
-“¿Qué tipo de negocio tienes? Ejemplos: clínica dental, spa, salón de belleza, consultorio, barbería, estudio, otro.”
-
-2) (servicio) Qué quiere automatizar primero:
-“¿Qué te gustaría automatizar primero en WhatsApp? Ejemplos: agendar citas, confirmar/recordatorios, reagendar, información y precios.”
-
-3) (redes) Volumen semanal (citas por semana):
-“Aprox. ¿cuántas citas manejan por semana? Ejemplos: 5, 15, 30, 60+.”
-
-REGLAS IMPORTANTES
-- Si el usuario responde varias cosas en un mismo mensaje (incluyendo audio transcrito), extrae y guarda TODO lo que puedas para: sector, servicio y redes.
-- Si ya tienes las 3 respuestas, NO preguntes más: cierra.
-- En "redes" acepta números cortos: "5", "15", "30", "60+".
-
-TAREA
-- Usa el estado recibido (sector/servicio/redes/objetivo/cerrado/cierre_enviado/pending).
-- Pregunta SOLO 1 cosa siguiendo el orden sector -> servicio -> redes.
-- Cuando ya tengas las 3, responde EXACTO:
-  “¡Listo! Ya quedó registrado 🙌 un representante de Zia Lab te estará contactando para presentarte la propuesta con el 30% OFF por los primeros 3 meses 🚀”
-  y marca cerrado=true, cierre_enviado=true y objetivo="calificado".
-
-SALIDA OBLIGATORIA:
-Devuelve SOLO JSON válido (sin texto extra), con este formato:
-{
-  "reply": "mensaje para el usuario",
-  "state": {
-    "sector": "",
-    "servicio": "",
-    "redes": "",
-    "objetivo": "",
-    "cerrado": false,
-    "cierre_enviado": false,
-    "pending": "sector|servicio|redes|none"
-  }
-}
-`;
-}
+configureManyChat({ redis }); // cache del endpoint que funciona por API key
 
-function inferPending(mem) {
-  if (!mem.sector) return "sector";
-  if (!mem.servicio) return "servicio";
-  if (!mem.redes) return "redes";
-  return "none";
-}
+// ✅ un turno a la vez por contacto (load -> modelo -> save sin pisarse entre requests/instancias)
+// espera por el turno anterior: un turno puede pasar por el modelo principal y el de respaldo
+const locks = createContactLocks({ redis, waitMs: Math.max(45 * 1000, LLM_TIMEOUT_MS * 2 + 5000) });
 
-function isAck(text) {
-  const t = safeText(text).toLowerCase();
-  return ["ok", "okay", "gracias", "hola", "mañana", "perfecto", "listo", "👍"].includes(t);
-}
+// --- Leads ---
+const leads = createLeadStore({ file: path.join(DATA_DIR, "leads.json") });
+
+// --- Agenda de llamadas ---
+const scheduler = createScheduler({ file: path.join(DATA_DIR, "bookings.json"), baseUrl: PUBLIC_BASE_URL });
+const scheduled = [...tenants.values()].filter((t) => t.schedule).map((t) => `${t.id}(${t.schedule.timezone})`);
+if (scheduled.length) console.log("[scheduler] agenda:", scheduled.join(", "));
+if (scheduled.length && !PUBLIC_BASE_URL) console.warn("[scheduler] PUBLIC_BASE_URL vacío: las citas van sin enlace .ics");
+
+// --- Consumo (tokens, minutos de audio, USD estimados) ---
+const usage = createUsage({ redis, prices: tryParseJson(LLM_PRICES) || {} });
+
+// --- Archivo de conversaciones ---
+const transcripts = createTranscriptStore({ dir: TRANSCRIPTS_DIR, retentionDays: TRANSCRIPTS_RETENTION_DAYS });
+transcripts.start();
 
-// --- Route ---
-app.post("/mc/reply", async (req, res) => {
-  const started = Date.now();
+// --- Webhooks ---
+const webhookQueue = createQueue({ redis, name: "webhooks", maxAttempts: WEBHOOK_MAX_ATTEMPTS });
+const webhooks = createWebhooks({ redis, queue: webhookQueue, allowHttp: WEBHOOKS_ALLOW_HTTP });
+webhooks.start();
 
+// nunca rompe la respuesta al usuario
+async function emitEvent(event, tenant, data) {
   try {
-    console.log("[/mc/reply] hit", new Date().toISOString());
+    const n = await webhooks.emit(event, { tenant: tenant.id, data });
+    if (n) console.log(`[webhooks] ${event} -> ${n} endpoint(s)`);
+  } catch (e) {
+    console.error("[webhooks] emit FAILED:", event, e?.message || e);
+  }
+}
 
-    if (!mustAuth(req)) {
-      console.log("[/mc/reply] unauthorized");
-      return res.status(401).json({ error: "unauthorized" });
-    }
+// --- Admin notify (cola durable + worker) ---
+const notifyQueue = createQueue({
+  redis,
+  name: "notify",
+  maxAttempts: NOTIFY_MAX_ATTEMPTS,
+  onDead: (job) => job.data.lead_id && leads.setNotification(job.data.lead_id, { status: "failed", error: job.last_error }),
+});
 
-    const contactId = safeText(req.body?.contact_id);
-    let userText = safeText(req.body?.user_text);
+async function markAdminNotified(tenant, contactId) {
+  const flow = flows.get(tenant.flow);
+  await locks.withLock(tenant, contactId, async () => {
+    const mem = await loadMemory(tenant, contactId, flow);
+    mem.admin_notified = true;
+    await saveMemory(tenant, contactId, mem);
+  });
+}
 
-    console.log("[/mc/reply] contact_id:", contactId || "(missing)");
-    console.log("[/mc/reply] user_text:", userText ? `"${userText}"` : "(empty)");
+// job.data.channels: canales a probar en orden; job.data.done: destinos que ya recibieron
+// sin lead_id = aviso de handoff o de cambios (no toca el estado de notificación del lead)
+async function deliverAdminNotify(data) {
+  const { tenant_id, contact_id, lead_id, channels, vars } = data;
+  const tenant = tenants.get(tenant_id);
+  if (!tenant) {
+    const e = new Error(`tenant ${tenant_id} no existe`);
+    e.permanent = true;
+    throw e;
+  }
 
-    if (!contactId) {
-      return res.json({ reply: "¿Me confirmas tu mensaje otra vez, porfa? 😊" });
-    }
+  data.done = data.done || [];
 
-    // ✅ audio -> transcribir
-    let audioUrl = "";
-    if (looksLikeAudioUrl(userText)) {
-      audioUrl = userText;
-    } else if (!userText) {
-      audioUrl = getAudioUrl(req.body);
-    }
+  let channel = "";
+  try {
+    channel = await deliverToChannels(tenant.admin, channels, vars, data.done);
+  } catch (e) {
+    if (lead_id) await leads.setNotification(lead_id, { status: "retrying", error: safeText(e?.message || e) });
+    throw e;
+  }
+  if (!lead_id) return;
 
-    if (audioUrl) {
-      console.log("[/mc/reply] audio_url detected:", audioUrl);
-      const transcript = await transcribeAudioFromUrl(audioUrl, openai);
-
-      if (transcript) {
-        userText = transcript;
-        console.log("[/mc/reply] transcript:", `"${userText}"`);
-      } else {
-        return res.json({
-          reply: "No pude escuchar bien la nota de voz 😅 ¿Me lo puedes mandar en texto o reenviar el audio más claro?",
-        });
-      }
-    }
+  const lead = leads.get(lead_id);
+  const sentVia = new Set(splitList(lead?.notification?.channel));
+  sentVia.add(channel);
+  await leads.setNotification(lead_id, { status: "sent", channel: [...sentVia].join(","), error: "" });
+  await markAdminNotified(tenant, contact_id);
+}
 
-    if (!userText) {
-      return res.json({ reply: "Se me quedó el mensaje en blanco 😅 ¿Me lo repites en una línea?" });
-    }
+notifyQueue.start({ "admin.notify": deliverAdminNotify });
 
-    // 1) cargar memoria
-    const mem = await loadMemory(contactId);
-    mem.pending = inferPending(mem);
+// --- ManyChat write-back (cola durable) ---
+const manychatQueue = createQueue({ redis, name: "manychat", maxAttempts: MANYCHAT_SYNC_MAX_ATTEMPTS });
+const manychatSync = createManyChatSync({ queue: manychatQueue, tenants });
+manychatSync.start();
 
-    // Si ya cerró y el usuario escribe ack -> respuesta corta
-    if (mem.cierre_enviado && isAck(userText)) {
-      return res.json({ reply: "¡Listo! Ya quedó registrado 🙌 En breve te escribe un representante." });
-    }
+// nunca rompe la respuesta al usuario
+async function syncToManyChat(tenant, subscriberId, before, after, opts) {
+  try {
+    await manychatSync.enqueue(tenant, subscriberId, planSync(tenant.admin, before, after, opts));
+  } catch (e) {
+    console.error("[manychat_sync] enqueue FAILED:", e?.message || e);
+  }
+}
 
-    // ✅ aceptar nombres raros en paso "redes"
-    if (mem.pending === "redes" && !mem.redes) {
-      if (looksLikeLinkOrHandle(userText) || looksLikeBusinessName(userText)) {
-        mem.redes = userText;
-        mem.pending = inferPending(mem);
-      }
-    }
+// 1 job por canal si notify_mode=all; lead = null para avisos que no son la calificación (handoff, cambios)
+async function notifyAdmins(tenant, { contactId, lead, vars }) {
+  const plan = planNotifyJobs(tenant.admin);
+  if (!plan.length) {
+    console.log(`[admin_notify] skipped for ${tenant.id} (no notify channel configured)`);
+    if (lead) await leads.setNotification(lead.id, { status: "skipped" });
+  }
 
-    // 2) armar mensajes
-    const sys = buildSystemPrompt();
-
-    const stateSnapshot = {
-      sector: mem.sector,
-      servicio: mem.servicio,
-      redes: mem.redes,
-      objetivo: mem.objetivo,
-      cerrado: !!mem.cerrado,
-      cierre_enviado: !!mem.cierre_enviado,
-      pending: mem.pending,
-    };
-
-    const messages = [
-      { role: "system", content: sys },
-      { role: "system", content: `ESTADO ACTUAL: ${JSON.stringify(stateSnapshot)}` },
-      ...clampHistory(mem.history, 10),
-      { role: "user", content: userText },
-    ];
-
-    // 3) OpenAI (forzando JSON)
-    const completion = await openai.chat.completions.create({
-      model: MODEL,
-      messages,
-      temperature: 0.2,
-      max_tokens: 260,
-      response_format: { type: "json_object" },
+  for (const channels of plan) {
+    await notifyQueue.enqueue("admin.notify", {
+      tenant_id: tenant.id,
+      contact_id: contactId,
+      lead_id: lead?.id || "",
+      channels,
+      vars,
     });
+  }
+}
 
-    const raw = completion.choices?.[0]?.message?.content || "";
-    let parsed = safeParseModelJson(raw);
-
-    // ✅ si viene roto, reintenta 1 vez “reparando” JSON
-    if (!parsed) {
-      console.error("[/mc/reply] JSON parse fail (raw):", raw);
-
-      const repair = await openai.chat.completions.create({
-        model: MODEL,
-        temperature: 0,
-        max_tokens: 260,
-        response_format: { type: "json_object" },
-        messages: [
-          {
-            role: "system",
-            content:
-              "Convierte el contenido del usuario en UN SOLO objeto JSON válido con el esquema: {reply:string, state:{sector,servicio,redes,objetivo,cerrado:boolean,cierre_enviado:boolean,pending}}. Sin texto extra.",
-          },
-          { role: "user", content: raw || "Responde con JSON válido siguiendo el esquema." },
-        ],
-      });
-
-      const raw2 = repair.choices?.[0]?.message?.content || "";
-      parsed = safeParseModelJson(raw2);
-
-      if (!parsed) {
-        console.error("[/mc/reply] JSON parse fail (repair raw):", raw2);
-        return res.json({
-          reply: "Se me fue la señal un momentito 😅 ¿Me repites eso en una línea, porfa?",
-        });
-      }
-    }
+// --- Modelo (lib/llm.js) ---
+const llm = createLLM({
+  providers: {
+    openai: createOpenAIProvider({ apiKey: OPENAI_API_KEY }),
+    azure: createAzureProvider({
+      apiKey: AZURE_OPENAI_API_KEY,
+      endpoint: AZURE_OPENAI_ENDPOINT,
+      apiVersion: AZURE_OPENAI_API_VERSION,
+      deployment: AZURE_OPENAI_DEPLOYMENT,
+    }),
+    compatible: createCompatibleProvider({ baseURL: LLM_BASE_URL, apiKey: LLM_API_KEY, model: LLM_MODEL, jsonMode: LLM_JSON_MODE }),
+    mock: [LLM_PROVIDER, LLM_FALLBACK].includes("mock")
+      ? createMockProvider(MOCK_LLM_FILE ? JSON.parse(fs.readFileSync(MOCK_LLM_FILE, "utf8")) : {})
+      : null,
+  },
+  primary: LLM_PROVIDER,
+  fallback: LLM_FALLBACK,
+  timeoutMs: LLM_TIMEOUT_MS,
+});
+console.log("[llm] proveedores:", llm.providers.join(", "), "| principal:", LLM_PROVIDER, "| respaldo:", LLM_FALLBACK || "-");
+for (const t of tenants.values()) {
+  for (const name of [t.model.provider, t.model.fallback].filter(Boolean)) {
+    if (!llm.providers.includes(name)) throw new Error(`[llm] tenant "${t.id}": proveedor "${name}" no configurado`);
+  }
+}
 
-    const reply = safeText(parsed.reply) || "¿Me repites eso en una línea, porfa? 😊";
-    const newState = parsed.state || {};
-
-    // 4) actualizar memoria (estado)
-    mem.sector = safeText(newState.sector) || mem.sector;
-    mem.servicio = safeText(newState.servicio) || mem.servicio;
-    mem.redes = safeText(newState.redes) || mem.redes;
-    mem.objetivo = safeText(newState.objetivo) || mem.objetivo;
-
-    mem.cerrado = typeof newState.cerrado === "boolean" ? newState.cerrado : mem.cerrado;
-    mem.cierre_enviado =
-      typeof newState.cierre_enviado === "boolean" ? newState.cierre_enviado : mem.cierre_enviado;
-
-    mem.pending = inferPending(mem);
-
-    // 5) historial
-    mem.history = clampHistory(
-      [...(mem.history || []), { role: "user", content: userText }, { role: "assistant", content: reply }],
-      12
-    );
-
-    await saveMemory(contactId, mem);
-
-    // ✅ NUEVO: cuando el lead está completo y ya cerró -> avisar a tu WhatsApp (1 vez)
-    const leadComplete = !!(mem.sector && mem.servicio && mem.redes && mem.cierre_enviado);
-
-    if (leadComplete && !mem.admin_notified) {
-      mem.admin_notified = true;
-      await saveMemory(contactId, mem);
-
-      const summary = buildLeadSummary({
-        contactId,
-        sector: mem.sector,
-        servicio: mem.servicio,
-        redes: mem.redes,
-      });
-
-      // 🔥 NO bloqueamos la respuesta al usuario
-      setImmediate(async () => {
-        try {
-          if (canNotifyAdminViaManyChat()) {
-            await sendAdminViaManyChat(summary);
-          } else if (canNotifyAdminViaMeta()) {
-            await sendAdminViaMeta(summary);
-            console.log("[admin_notify] sent via Meta ✅");
-          } else {
-            console.log("[admin_notify] skipped (missing MANYCHAT_API_KEY/ADMIN_SUBSCRIBER_ID and no Meta fallback)");
-          }
-        } catch (e) {
-          console.error("[admin_notify] FAILED:", e?.response?.status, e?.response?.data || e?.message || e);
-          // si ManyChat falla, intenta Meta (si está configurado)
-          try {
-            if (canNotifyAdminViaMeta()) {
-              await sendAdminViaMeta(summary);
-              console.log("[admin_notify] fallback Meta ✅");
-            }
-          } catch (e2) {
-            console.error("[admin_notify] Meta fallback FAILED:", e2?.response?.status, e2?.response?.data || e2?.message || e2);
-          }
-        }
-      });
+// ✅ leer adjunto (ref de lib/media.js: url, media id de Cloud API o file_id de Telegram)
+// audio -> transcripción; imagen/PDF -> modelo con visión. Errores de media (too_large...) suben al motor
+async function readMedia(tenant, ref, { flow, caption, lang }) {
+  return withMedia(tenant.admin, ref, { limits: { audio: MEDIA_MAX_BYTES } }, async (file) => {
+    console.log("[media]", file.kind, file.contentType, file.bytes, "bytes");
+
+    if (file.kind === "audio") {
+      const transcription = await llm.transcribe(
+        {
+          file: file.path,
+          model: TRANSCRIBE_MODEL,
+          // idioma conocido del contacto -> se fuerza; si no, el modelo lo detecta (y whisper lo reporta)
+          ...(lang ? { language: lang } : {}),
+          ...(TRANSCRIBE_VERBOSE ? { response_format: "verbose_json" } : {}),
+        },
+        tenant.model
+      );
+      return {
+        kind: "audio",
+        text: safeText(transcription?.text),
+        lang: normalizeLang(transcription?.language),
+        usage: usageEntry("transcription", { ...transcription, model: TRANSCRIBE_MODEL }),
+      };
     }
 
-    console.log("[/mc/reply] done in", Date.now() - started, "ms");
-    return res.json({ reply });
-  } catch (err) {
-    console.error("[/mc/reply] ERROR:", err?.stack || err);
-    return res.json({ reply: "Se me complicó un momentito 😅 ¿Me lo mandas de nuevo en una línea?" });
-  }
+    const { text, usage } = await describeAttachment(llm, {
+      model: tenant.model.vision,
+      flow,
+      file,
+      caption,
+      route: tenant.model,
+    });
+    return { kind: file.kind, text, usage };
+  });
+}
+
+// --- Motor de conversación (lib/engine.js) ---
+const engine = createEngine({
+  flows,
+  llm,
+  memory: { load: loadMemory, save: saveMemory },
+  readMedia,
+  leads,
+  usage,
+  transcripts,
+  locks,
+  knowledge,
+  scheduler,
+  debounceMs: MESSAGE_DEBOUNCE_MS,
+  emitEvent,
+  syncToManyChat,
+  notifyAdmins,
 });
 
+// --- Canales (adaptadores -> engine.converse) ---
+app.use(createManyChatRouter({ tenants, engine }));
+app.use(createWhatsAppRouter({ tenants, engine, redis, verifyToken: WA_VERIFY_TOKEN, appSecret: WA_APP_SECRET }));
+app.use(createTelegramRouter({ tenants, engine }));
+app.use(createWebChatRouter({ tenants, engine }));
+
+// invitación .ics de las citas (enlace con token, sin login)
+app.use(createCalendarRouter({ scheduler, tenants }));
+
+app.use(
+  "/admin",
+  createAdminRouter({
+    token: ADMIN_API_TOKEN,
+    tenants,
+    leads,
+    usage,
+    transcripts,
+    scheduler,
+    engine,
+    webhooks,
+    webhookQueue,
+    notifyQueue,
+    manychatQueue,
+  })
+);
+
 app.get("/health", (_req, res) => res.send("ok"));
 
 app.listen(PORT, () => console.log("running on", PORT));